@@ -1,3 +1,9 @@
+import { mat3, mat4, vec3, quat } from 'gl-matrix';
+import {
+  SETTINGS_EXPORT_EVENT, SETTINGS_IMPORT_EVENT, readStorage, writeStorage, addSettingsMenu,
+} from './pluginSettings.js';
+import { hookRender, isTextField, isTri } from './selectionCommon.js';
+
 export default class AdvancedGizmoPlugin {
   constructor(api) {
     this.api = api;
@@ -5,8 +11,75 @@ export default class AdvancedGizmoPlugin {
     this.mode = 'universal'; // move | rotate | scale | universal
     this.space = 'global';   // global | local | normal
     this.axisMask = [true, true, true]; // X Y Z
+    this.pivot = 'bbox';     // bbox | origin | picked | cursor | selection
+    this.cursor3D = null;    // cursor 3D en coordenadas de mundo
+
+    // varias mallas seleccionadas
+    this.multiPivot = 'median';     // median | active
+    this.individualOrigins = false; // cada malla sobre su pivote y sus ejes
+
+    // edición de componentes (selección de ComponentSelectionPlugin)
+    this.components = true;
+    this.componentNormal = true;   // ejes por la normal media de la selección
+    this.proportional = false;
+    this.proportionalRadius = 0.5; // unidades de mundo
+
+    // atajos modales G / R / S
+    this.modalKeys = true;
+
+    // panel de estado sobre el canvas
+    this.hud = true;
+    this._hudDiv = null;
+
+    // snapping (Ctrl invierte el estado mientras se mantiene)
+    this.snap = false;
+    this.snapTranslate = 0.25; // unidades de mundo
+    this.snapRotate = 15;      // grados
+    this.snapScale = 0.1;      // incremento de razón
+
+    // snap a superficie: al mover, el pivote cae sobre otras mallas
+    this.surfaceSnap = false;
+    this.surfaceAlign = false; // girar para que Z local siga la normal
+
+    this._ctrlHeld = false;
+    this._mouse = null;  // posición del ratón en pixels físicos del canvas (como cam.project)
+    this._client = null; // posición del ratón en la ventana
+    this._overCanvas = false;
+    this._swallowContextMenu = false;
+    this._edit = null;  // estado del arrastre en curso
+    this._downUndoMark = null;
+    this._shiftDown = false;   // Shift en el último click: arrastre duplica
+    this._lastTransform = null; // { delta, pivot } de la última edición
+
+    // entrada numérica
+    this._numInput = null;
+    this._numDialog = null;
+
+    // cursor 3D y picking de un solo click
+    this._pickCallback = null;
+    this._cursorDiv = null;
+
+    // orientaciones guardadas: [{ name, basis: [x, y, z] }] en mundo
+    this.orientations = loadOrientations();
+
+    // preferencias guardadas (localStorage) de la sesión anterior
+    this.applySettings(readStorage(SETTINGS_KEY, null));
+
+    // normal (mundo) del espacio 'normal', fijada al elegir el espacio o con click
+    this._surfaceNormal = null;
+    this._normalCache = null; // { mesh, revision, matrix, normal } de _componentNormal
 
     this._patched = false;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onKeyUp = this._onKeyUp.bind(this);
+    this._onBlur = this._onBlur.bind(this);
+    this._onPointer = this._onPointer.bind(this);
+    this._onPickOnce = this._onPickOnce.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
+    this._onSettingsExport = this._onSettingsExport.bind(this);
+    this._onSettingsImport = this._onSettingsImport.bind(this);
   }
 
   /* ================= UI ================= */
@@ -14,6 +87,10 @@ export default class AdvancedGizmoPlugin {
   init() {
     const api = this.api;
 
+    // expuesto a los demás plugins (la selección no toma teclas durante una edición
+    // ni clicks sobre los manejadores)
+    api.gizmoPlus = this;
+
     // ---- MENU ----
     api.addGuiAction('Gizmo+', 'Modo: Universal', () => this.setMode('universal'));
     api.addGuiAction('Gizmo+', 'Modo: Mover', () => this.setMode('move'));
@@ -23,19 +100,96 @@ export default class AdvancedGizmoPlugin {
     api.addGuiAction('Gizmo+', 'Espacio: Global', () => this.setSpace('global'));
     api.addGuiAction('Gizmo+', 'Espacio: Local', () => this.setSpace('local'));
     api.addGuiAction('Gizmo+', 'Espacio: Normal', () => this.setSpace('normal'));
+    api.addGuiAction('Gizmo+', 'Normal: fijar desde superficie (click)', () => this.pickSurfaceNormal());
+
+    // ---- ORIENTACIONES ----
+    api.addGuiAction('Gizmo+', 'Orientación: desde cara (click)', () => this.createOrientationFromFace());
+    api.addGuiAction('Gizmo+', 'Orientación: desde selección', () => this.createOrientationFromSelection());
+    api.addGuiAction('Gizmo+', 'Orientación: borrar…', () => this.promptDeleteOrientation());
+    this.orientations.forEach((o) => this._addOrientationAction(o.name));
 
     api.addGuiAction('Gizmo+', 'Eje X', () => this.toggleAxis(0));
     api.addGuiAction('Gizmo+', 'Eje Y', () => this.toggleAxis(1));
     api.addGuiAction('Gizmo+', 'Eje Z', () => this.toggleAxis(2));
 
+    // ---- SNAP ----
+    api.addGuiAction('Gizmo+', 'Snap: On/Off (Ctrl)', () => this.toggleSnap());
+    api.addGuiAction('Gizmo+', 'Snap mover: 0.1', () => this.setSnapTranslate(0.1));
+    api.addGuiAction('Gizmo+', 'Snap mover: 0.25', () => this.setSnapTranslate(0.25));
+    api.addGuiAction('Gizmo+', 'Snap mover: 1', () => this.setSnapTranslate(1));
+    api.addGuiAction('Gizmo+', 'Snap mover: personalizado…', () => this.promptSnapTranslate());
+    api.addGuiAction('Gizmo+', 'Snap rotar: 5°', () => this.setSnapRotate(5));
+    api.addGuiAction('Gizmo+', 'Snap rotar: 15°', () => this.setSnapRotate(15));
+    api.addGuiAction('Gizmo+', 'Snap rotar: 45°', () => this.setSnapRotate(45));
+    api.addGuiAction('Gizmo+', 'Snap escalar: 0.1', () => this.setSnapScale(0.1));
+    api.addGuiAction('Gizmo+', 'Snap escalar: 0.25', () => this.setSnapScale(0.25));
+    api.addGuiAction('Gizmo+', 'Snap superficie: On/Off', () => this.toggleSurfaceSnap());
+    api.addGuiAction('Gizmo+', 'Snap superficie: alinear Z a normal', () => this.toggleSurfaceAlign());
+
+    // ---- PIVOTE ----
+    api.addGuiAction('Gizmo+', 'Pivote: Centro de caja', () => this.setPivot('bbox'));
+    api.addGuiAction('Gizmo+', 'Pivote: Origen', () => this.setPivot('origin'));
+    api.addGuiAction('Gizmo+', 'Pivote: Punto picado', () => this.setPivot('picked'));
+    api.addGuiAction('Gizmo+', 'Pivote: Cursor 3D', () => this.setPivot('cursor'));
+    api.addGuiAction('Gizmo+', 'Pivote: Centroide selección', () => this.setPivot('selection'));
+    api.addGuiAction('Gizmo+', 'Colocar cursor 3D en superficie', () => this.placeCursor());
+
+    // ---- MULTI-MALLA ----
+    api.addGuiAction('Gizmo+', 'Multi: Centro combinado', () => this.setMultiPivot('median'));
+    api.addGuiAction('Gizmo+', 'Multi: Malla activa', () => this.setMultiPivot('active'));
+    api.addGuiAction('Gizmo+', 'Multi: Orígenes individuales On/Off', () => this.toggleIndividualOrigins());
+
+    // ---- COMPONENTES ----
+    api.addGuiAction('Gizmo+', 'Componentes: On/Off', () => this.toggleComponents());
+    api.addGuiAction('Gizmo+', 'Componentes: ejes por normal media On/Off', () => this.toggleComponentNormal());
+    api.addGuiAction('Gizmo+', 'Edición proporcional: On/Off', () => this.toggleProportional());
+    api.addGuiAction('Gizmo+', 'Radio proporcional…', () => this.promptProportionalRadius());
+
+    // ---- DUPLICAR / ARRAY ----
+    api.addGuiAction('Gizmo+', 'Duplicar y mover (Shift+D)', () => this.duplicateAndGrab());
+    api.addGuiAction('Gizmo+', 'Array: repetir última transformación…', () => this.promptRepeatArray());
+    api.addGuiAction('Gizmo+', 'Array lineal…', () => this.promptLinearArray());
+    api.addGuiAction('Gizmo+', 'Array radial…', () => this.promptRadialArray());
+
+    api.addGuiAction('Gizmo+', 'Atajos G/R/S: On/Off', () => this.toggleModalKeys());
+    api.addGuiAction('Gizmo+', 'Transform numérico', () => this.openNumericDialog());
+
+    api.addGuiAction('Gizmo+', 'HUD: On/Off', () => this.toggleHud());
+
+    // ---- AJUSTES (exportar / importar, un solo par de entradas para todos los plugins) ----
+    addSettingsMenu(api);
+
     api.addGuiAction('Gizmo+', 'Refrescar Gizmo+', () => this.refresh());
 
+    window.addEventListener('keydown', this._onKeyDown, true);
+    window.addEventListener('keyup', this._onKeyUp, true);
+    window.addEventListener('blur', this._onBlur);
+    window.addEventListener('pointerdown', this._onPointerDown, true);
+    window.addEventListener('pointermove', this._onPointer, true);
+    window.addEventListener('contextmenu', this._onContextMenu, true);
+    window.addEventListener(SETTINGS_EXPORT_EVENT, this._onSettingsExport);
+    window.addEventListener(SETTINGS_IMPORT_EVENT, this._onSettingsImport);
+
     // parchear una sola vez
     this.patchGizmo();
+    this._hookRender();
+
+    // ajustes leídos en el constructor (modo, ejes visibles): llevarlos al gizmo de SculptGL
+    this.refresh();
   }
 
   /* ================= STATE ================= */
 
+  // arrastre, transformación modal o entrada numérica en curso
+  isEditing() {
+    return !!this._edit;
+  }
+
+  // ratón sobre un manejador del gizmo nativo: el click es para el gizmo
+  isOverHandle() {
+    return !!this.api.getGizmo?.()?._selected;
+  }
+
   setMode(m) {
     this.mode = m;
     this.refresh();
@@ -43,6 +197,11 @@ export default class AdvancedGizmoPlugin {
 
   setSpace(s) {
     this.space = s;
+    if (s === 'normal') {
+      const mesh = this.api.getMesh?.();
+      const n = mesh && this._sampleSurfaceNormal(mesh);
+      if (n) this._surfaceNormal = n;
+    }
     this.refresh();
   }
 
@@ -51,7 +210,101 @@ export default class AdvancedGizmoPlugin {
     this.refresh();
   }
 
+  setPivot(p) {
+    this.pivot = p;
+    this.refresh();
+  }
+
+  setMultiPivot(p) {
+    this.multiPivot = p;
+    this.refresh();
+  }
+
+  toggleIndividualOrigins() {
+    this.individualOrigins = !this.individualOrigins;
+    this.refresh();
+  }
+
+  toggleComponents() {
+    this.components = !this.components;
+    this.refresh();
+  }
+
+  toggleComponentNormal() {
+    this.componentNormal = !this.componentNormal;
+    this.refresh();
+  }
+
+  toggleProportional() {
+    this.proportional = !this.proportional;
+    this._settingsChanged();
+  }
+
+  promptProportionalRadius() {
+    const v = parseFloat(window.prompt('Radio proporcional (unidades):', String(this.proportionalRadius)));
+    if (v > 0) this.proportionalRadius = v;
+    this._settingsChanged();
+  }
+
+  toggleModalKeys() {
+    this.modalKeys = !this.modalKeys;
+    this.saveSettings();
+  }
+
+  toggleSnap() {
+    this.snap = !this.snap;
+    this._settingsChanged();
+  }
+
+  setSnapTranslate(step) {
+    if (step > 0) this.snapTranslate = step;
+    this._settingsChanged();
+  }
+
+  setSnapRotate(deg) {
+    if (deg > 0) this.snapRotate = deg;
+    this._settingsChanged();
+  }
+
+  setSnapScale(step) {
+    if (step > 0) this.snapScale = step;
+    this._settingsChanged();
+  }
+
+  toggleSurfaceSnap() {
+    this.surfaceSnap = !this.surfaceSnap;
+    this._settingsChanged();
+  }
+
+  toggleSurfaceAlign() {
+    this.surfaceAlign = !this.surfaceAlign;
+    this._settingsChanged();
+  }
+
+  toggleHud() {
+    this.hud = !this.hud;
+    this._settingsChanged();
+  }
+
+  promptSnapTranslate() {
+    const v = parseFloat(window.prompt('Paso de snap (unidades):', String(this.snapTranslate)));
+    if (Number.isFinite(v)) this.setSnapTranslate(v);
+  }
+
+  // snap efectivo: Ctrl invierte el toggle del menú
+  isSnapping() {
+    return this.snap !== this._ctrlHeld;
+  }
+
+  // cambio de preferencia que no toca el gizmo
+  _settingsChanged() {
+    this.saveSettings();
+    this._updateHud();
+  }
+
   refresh() {
+    this.saveSettings();
+
     const gizmo = this.api.getGizmo?.();
     if (!gizmo) return;
 
@@ -72,6 +325,101 @@ export default class AdvancedGizmoPlugin {
     gizmo.showPlaneYZ = false;
 
     gizmo.updateMatrices?.();
+    this._updateHud();
+  }
+
+  /* ================= INPUT ================= */
+
+  _onKeyDown(e) {
+    if (e.key === 'Control') this._setCtrl(true);
+    if (e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+
+    const edit = this._edit;
+    const key = e.key.toLowerCase();
+
+    if (edit?.modal && this._onModalKey(e, key)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      return;
+    }
+
+    // teclear durante un arrastre abre la entrada numérica (en modal, x/y/z
+    // son restricciones de eje)
+    const numKeys = edit?.modal ? /^[0-9.-]$/ : /^[0-9.xyz-]$/;
+    if (edit && !this._numInput && numKeys.test(key)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this._openNumInput(e.key);
+      return;
+    }
+
+    // G / R / S sobre el canvas: transformación modal
+    if (!edit && this.modalKeys && this._overCanvas && !e.shiftKey && MODAL_KEYS[key]) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.startModal(MODAL_KEYS[key]);
+      return;
+    }
+
+    // Shift+D: duplicar y mover en modal
+    if (!edit && this.modalKeys && this._overCanvas && e.shiftKey && key === 'd') {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.duplicateAndGrab();
+    }
+  }
+
+  _onKeyUp(e) {
+    if (e.key === 'Control') this._setCtrl(false);
+  }
+
+  _onBlur() {
+    this._setCtrl(false);
+  }
+
+  _onPointer(e) {
+    const canvas = this.api.getCanvas?.();
+    if (!canvas) return;
+    const rect = canvas.getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1;
+    this._mouse = [(e.clientX - rect.left) * pr, (e.clientY - rect.top) * pr];
+    this._client = [e.clientX, e.clientY];
+    this._overCanvas = e.target === canvas;
+
+    if (this._edit?.modal && e.type === 'pointermove') {
+      this._applyEdit();
+      this.api.render?.();
+    }
+  }
+
+  // en modal: click confirma, click derecho cancela
+  _onPointerDown(e) {
+    this._onPointer(e);
+    this._shiftDown = e.shiftKey;
+    if (!this._edit?.modal) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.button === 2) this.cancelModal();
+    else if (e.button === 0) this.confirmModal();
+  }
+
+  _onContextMenu(e) {
+    if (!this._edit?.modal && !this._swallowContextMenu) return;
+    this._swallowContextMenu = false;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  _setCtrl(held) {
+    if (this._ctrlHeld === held) return;
+    this._ctrlHeld = held;
+    // re-evaluar el arrastre en curso sin esperar al siguiente movimiento
+    if (this._edit) {
+      this._applyEdit();
+      this.api.render?.();
+    }
+    this._updateHud();
   }
 
   /* ================= CORE FIX ================= */
@@ -84,24 +432,1349 @@ export default class AdvancedGizmoPlugin {
 
     const plugin = this;
 
-    // guardar original
-    const _startTranslate = gizmo._startTranslateEdit;
-    const _updateTranslate = gizmo._updateTranslateEdit;
+    // envolver start/update de cada edición: el original calcula la matriz
+    // "nativa" y el plugin la reinterpreta en la base activa (espacio, snap,
+    // máscara de ejes)
+    [['Translate', 'move'], ['Rotate', 'rotate'], ['Scale', 'scale']].forEach(([name, kind]) => {
+      const start = gizmo[`_start${name}Edit`];
+      const update = gizmo[`_update${name}Edit`];
+      if (!start || !update) return;
+
+      gizmo[`_start${name}Edit`] = function (...args) {
+        // Shift+arrastre: se duplica antes de empezar y se mueve la copia
+        const beforeCopy = plugin._undoMark();
+        const duplicated = plugin._shiftDown && plugin._duplicateSelection().length > 0;
+        const undoMark = duplicated ? plugin._undoMark() : (plugin._downUndoMark ?? plugin._undoMark());
+        const res = start.apply(this, args);
+        plugin._beginEdit(kind, this, undoMark);
+        if (plugin._edit && duplicated) plugin._edit.copyUndoMark = beforeCopy;
+        return res;
+      };
+
+      gizmo[`_update${name}Edit`] = function (...args) {
+        plugin._restoreNative();
+        const res = update.apply(this, args);
+        plugin._captureNative();
+        plugin._applyEdit();
+        return res;
+      };
+    });
+
+    // posición de la pila de deshacer antes de que el gizmo original apile nada
+    const _onMouseDown = gizmo.onMouseDown;
+    if (_onMouseDown) {
+      gizmo.onMouseDown = function (...args) {
+        plugin._downUndoMark = plugin._undoMark();
+        try {
+          return _onMouseDown.apply(this, args);
+        } finally {
+          plugin._downUndoMark = null;
+        }
+      };
+    }
+
+    const _onMouseUp = gizmo.onMouseUp;
+    if (_onMouseUp) {
+      gizmo.onMouseUp = function (...args) {
+        const res = _onMouseUp.apply(this, args);
+        plugin._endEdit();
+        return res;
+      };
+    } else {
+      window.addEventListener('mouseup', () => plugin._endEdit());
+    }
+
+    // dibujar el gizmo sobre el pivote elegido
+    const _computeCenter = gizmo._computeCenterGizmo;
+    if (_computeCenter) {
+      gizmo._computeCenterGizmo = function (...args) {
+        const res = _computeCenter.apply(this, args);
+        const mesh = plugin.api.getMesh?.();
+        const m = mesh?.getMatrix?.();
+        if (!res || !m || (plugin.pivot === 'bbox' && !plugin._isComponentEdit(mesh) && !plugin._isMultiEdit(mesh))) return res;
+        const p = plugin._edit ? plugin._edit.pivot : plugin.computePivot(mesh, m);
+        res[0] = p[0]; res[1] = p[1]; res[2] = p[2];
+        return res;
+      };
+    }
+
+    // orientar los manejadores dibujados (y su picking) según la base
+    const updateName = gizmo._updateMatrices ? '_updateMatrices' : 'updateMatrices';
+    const _updateMatrices = gizmo[updateName];
+    if (_updateMatrices) {
+      gizmo[updateName] = function (...args) {
+        const res = _updateMatrices.apply(this, args);
+        plugin._orientHandles(this);
+        return res;
+      };
+    }
+
+    this._patched = true;
+  }
+
+  _orientHandles(gizmo) {
+    const basis = this._edit ? this._edit.basis : this.computeBasis();
+    if (!basis) return;
+
+    const b = mat3.fromMat4(mat3.create(), basisMatrix(basis));
+    const lin = mat3.create();
+    for (const handle of gizmoHandles(gizmo)) {
+      // el anillo de cámara no depende del espacio
+      if (handle._nbAxis === -1) continue;
+      for (const geo of [handle._drawGeo, handle._pickGeo]) {
+        const m = geo?.getMatrix?.();
+        if (!m) continue;
+        // B * parte lineal, conservando la traslación al centro del gizmo
+        mat3.multiply(lin, b, mat3.fromMat4(mat3.create(), m));
+        m[0] = lin[0]; m[1] = lin[1]; m[2] = lin[2];
+        m[4] = lin[3]; m[5] = lin[4]; m[6] = lin[5];
+        m[8] = lin[6]; m[9] = lin[7]; m[10] = lin[8];
+      }
+    }
+  }
+
+  /* ================= EDIT ================= */
+
+  _beginEdit(kind, gizmo, undoMark = this._undoMark()) {
+    const mesh = this.api.getMesh?.();
+    const m = mesh?.getMatrix?.();
+    if (!m) {
+      this._edit = null;
+      return;
+    }
+
+    const nbAxis = gizmo?._selected?._nbAxis;
+    const components = this._isComponentEdit(mesh);
+    // lo que se mueve: origen del mesh o centroide de los componentes
+    const center = components ? selectionCentroid(this.api, mesh) : vec3.create();
 
-    gizmo._startTranslateEdit = function (...args) {
-      this._pluginSpace = plugin.space;
-      this._pluginBasis = plugin.computeBasis();
-      return _startTranslate.apply(this, args);
+    this._edit = {
+      kind,
+      mesh,
+      axis: typeof nbAxis === 'number' ? nbAxis : null, // null = desconocido
+      start: mat4.clone(m),
+      native: mat4.clone(m),
+      basis: this.computeBasis(),
+      pivot: this.computePivot(mesh, m),
+      center: vec3.transformMat4(center, center, m),
+      mouse: this._mouse ? this._mouse.slice() : null,
+      verts: components ? this._gatherComponents(mesh, m) : null,
+      others: components ? [] : this._otherTargets(mesh),
+      undoMark,
+      copyUndoMark: null // pila de deshacer antes de duplicar (Shift+arrastre)
     };
+  }
+
+  _endEdit() {
+    const edit = this._edit;
+    this._edit = null;
+    this._closeNumInput();
+    if (edit) {
+      this._pushUndo(edit);
+      this._rememberTransform(edit);
+    }
+    this._updateHud();
+  }
+
+  // el gizmo original puede trabajar de forma incremental: se le devuelve
+  // siempre su propia matriz, no la post-procesada
+  _restoreNative() {
+    const edit = this._edit;
+    if (!edit) return;
+    mat4.copy(edit.mesh.getMatrix(), edit.native);
+    for (const o of edit.others) mat4.copy(o.mesh.getMatrix(), o.native);
+  }
+
+  _captureNative() {
+    const edit = this._edit;
+    if (!edit) return;
+    mat4.copy(edit.native, edit.mesh.getMatrix());
+    for (const o of edit.others) mat4.copy(o.native, o.mesh.getMatrix());
+  }
+
+  _applyEdit() {
+    const edit = this._edit;
+    if (!edit) return;
+
+    const out = edit.mesh.getMatrix();
+    if (!this._resolveEdit(out, edit)) mat4.copy(out, edit.native);
+    edit.result = mat4.clone(out);
+    if (edit.others.length) this._applyToOthers(edit, out);
+
+    // componentes: la transformación va a los vértices, no a la matriz
+    if (edit.verts) {
+      this._deformComponents(edit, out);
+      mat4.copy(out, edit.start);
+    }
+    this._updateHud();
+  }
+
+  // escribe en `out` la matriz final; devuelve false si la nativa ya vale
+  _resolveEdit(out, edit) {
+    // Esc / Enter de la entrada numérica congelan el resultado
+    if (edit.frozen) {
+      mat4.copy(out, edit.frozen);
+      return true;
+    }
+
+    const snapping = this.isSnapping();
+    const masked = !(this.axisMask[0] && this.axisMask[1] && this.axisMask[2]);
+    const numeric = edit.numeric && edit.numeric.value !== null;
+    const surface = this.surfaceSnap && edit.kind === 'move' && !edit.verts && !numeric;
+    const plain = this.pivot === 'bbox' && !edit.verts && !edit.others.length && !surface;
+    if (!edit.modal && !edit.basis && !snapping && !masked && !numeric && plain) {
+      this._readNative(edit); // solo para el HUD
+      return false;
+    }
+
+    if (edit.modal) this._readModal(edit);
+    else this._readNative(edit);
+    if (numeric) this._applyNumeric(edit, edit.numeric);
+    else this._constrain(edit, snapping);
+    this._compose(out, edit);
+    if (surface) this._snapToSurface(out, edit);
+    return true;
+  }
+
+  // rayo bajo el ratón contra las demás mallas: el pivote se coloca en el
+  // impacto y, opcionalmente, Z local se alinea con la normal
+  _snapToSurface(out, edit) {
+    const main = this.api.main;
+    const picking = this.api.getPicking?.();
+    if (!picking || !this._mouse || !main?.getMeshes) return false;
+
+    const moving = new Set([edit.mesh, ...edit.others.map((o) => o.mesh)]);
+    const targets = main.getMeshes().filter((m) => !moving.has(m));
+    if (!targets.length || !picking.intersectionMouseMeshes(targets, this._mouse[0], this._mouse[1])) return false;
+
+    const hit = picking.getMesh();
+    const face = picking.getPickedFace();
+    if (!hit || face < 0) return false;
+    const mHit = hit.getMatrix();
+    const p = vec3.transformMat4(vec3.create(), picking.getIntersectionPoint(), mHit);
+
+    let lin = mat4.create();
+    if (this.surfaceAlign) {
+      const n = areaWeightedNormal(hit, [face], mHit);
+      if (n) {
+        const z = matrixBasis(edit.start)[2];
+        const q = quat.rotationTo(quat.create(), z, vec3.normalize(vec3.create(), n));
+        lin = mat4.fromQuat(lin, q);
+      }
+    }
+
+    // T(p) * R * T(-pivot) * start
+    const m = mat4.fromTranslation(mat4.create(), p);
+    mat4.multiply(m, m, lin);
+    mat4.translate(m, m, vec3.negate(vec3.create(), edit.pivot));
+    mat4.multiply(out, m, edit.start);
+    const t = vec3.sub(vec3.create(), p, edit.pivot);
+    edit.offset = (edit.basis || WORLD_BASIS).map((b) => vec3.dot(t, b));
+    return true;
+  }
+
+  // traduce la matriz nativa (ejes de mundo) a valores en la base activa:
+  // move -> offset[3], rotate -> angle + rotAxis, scale -> factors[3]
+  _readNative(edit) {
+    const basis = edit.basis || WORLD_BASIS;
+    const delta = mat4.multiply(mat4.create(), edit.native, mat4.invert(mat4.create(), edit.start));
+
+    if (edit.kind === 'move') {
+      const t = [delta[12], delta[13], delta[14]];
+      if (edit.axis === null) edit.axis = dominantAxis(t, 0.99);
+      const k = edit.axis;
+      if (edit.basis && k >= 0) {
+        // un solo eje: proyectar el ratón sobre el eje de la base en pantalla
+        const d = this._axisDistance(edit, basis[k]);
+        edit.offset = [0, 0, 0];
+        edit.offset[k] = d === null ? t[k] : d;
+      } else {
+        edit.offset = t;
+      }
+      return;
+    }
+
+    if (edit.kind === 'rotate') {
+      const axis = vec3.create();
+      let angle = quat.getAxisAngle(axis, mat4.getRotation(quat.create(), delta));
+      if (angle > Math.PI) angle -= 2 * Math.PI;
+      if (edit.axis === null && Math.abs(angle) > 1e-4) edit.axis = dominantAxis(axis, 0.99);
+      const k = edit.axis;
+      if (k !== null && k >= 0) {
+        // anillo k: el ángulo barrido en pantalla, con el signo que da el eje k de
+        // la base frente a la vista (el nativo lo toma del eje de mundo)
+        if (axis[k] < 0) angle = -angle;
+        const view = edit.basis && this._viewFrame(edit.pivot);
+        if (view && (view.forward[k] < 0) !== (vec3.dot(basis[k], view.forward) < 0)) angle = -angle;
+        vec3.copy(axis, basis[k]);
+      }
+      edit.angle = angle;
+      edit.rotAxis = axis;
+      return;
+    }
+
+    // scale: el nativo mide sobre los ejes de mundo; con una base, un solo eje se
+    // mide como move, sobre la proyección en pantalla del eje de la base
+    const factors = [delta[0], delta[5], delta[10]];
+    if (edit.axis === null) edit.axis = dominantAxis(factors.map((f) => f - 1), 0.99);
+    const k = edit.axis;
+    if (edit.basis && k !== null && k >= 0 && k < 3) {
+      const f = this._axisRatio(edit, basis[k]);
+      edit.factors = [1, 1, 1];
+      edit.factors[k] = f === null ? factors[k] : f;
+    } else {
+      edit.factors = factors;
+    }
+  }
+
+  _constrain(edit, snapping) {
+    if (edit.kind === 'move') {
+      for (let i = 0; i < 3; i++) {
+        if (!this.axisMask[i]) edit.offset[i] = 0;
+        else if (snapping) edit.offset[i] = snapValue(edit.offset[i], this.snapTranslate);
+      }
+    } else if (edit.kind === 'rotate') {
+      if (snapping) edit.angle = snapValue(edit.angle, this.snapRotate * Math.PI / 180);
+    } else {
+      for (let i = 0; i < 3; i++) {
+        if (!this.axisMask[i]) edit.factors[i] = 1;
+        else if (snapping) edit.factors[i] = Math.max(this.snapScale, 1 + snapValue(edit.factors[i] - 1, this.snapScale));
+      }
+    }
+  }
+
+  _compose(out, edit) {
+    const basis = edit.basis || WORLD_BASIS;
+
+    if (edit.kind === 'move') {
+      const res = vec3.create();
+      for (let i = 0; i < 3; i++) vec3.scaleAndAdd(res, res, basis[i], edit.offset[i]);
+      mat4.copy(out, edit.start);
+      out[12] += res[0];
+      out[13] += res[1];
+      out[14] += res[2];
+      return out;
+    }
+
+    if (edit.kind === 'rotate') {
+      const rot = mat4.fromRotation(mat4.create(), edit.angle, edit.rotAxis) || mat4.create();
+      return composeAbout(out, rot, edit.pivot, edit.start);
+    }
+
+    // B * S * B^T: escala a lo largo de los ejes de la base
+    const b = basisMatrix(basis);
+    const lin = mat4.multiply(mat4.create(), b, mat4.fromScaling(mat4.create(), edit.factors));
+    mat4.multiply(lin, lin, mat4.transpose(mat4.create(), b));
+    return composeAbout(out, lin, edit.pivot, edit.start);
+  }
+
+  // sustituye lo leído del ratón por el valor tecleado
+  _applyNumeric(edit, num) {
+    const k = num.axis !== null ? num.axis : edit.axis;
+    const v = num.value;
+
+    if (edit.kind === 'move') {
+      edit.offset = [0, 0, 0];
+      edit.offset[k >= 0 ? k : 0] = v;
+    } else if (edit.kind === 'rotate') {
+      edit.angle = v * Math.PI / 180;
+      // anillo de cámara (-1): se conserva el eje nativo
+      if (k === null) edit.rotAxis = vec3.clone((edit.basis || WORLD_BASIS)[2]);
+      else if (k >= 0) edit.rotAxis = vec3.clone((edit.basis || WORLD_BASIS)[k]);
+    } else if (v !== 0) {
+      edit.factors = k !== null && k >= 0 ? [1, 1, 1] : [v, v, v];
+      if (k !== null && k >= 0) edit.factors[k] = v;
+    }
+  }
+
+  // distancia (mundo) recorrida por el ratón a lo largo de `dir` desde el pivote
+  _axisDistance(edit, dir) {
+    const cam = this.api.getCamera?.();
+    if (!cam || !edit.mouse || !this._mouse) return null;
+
+    const a = cam.project(edit.pivot);
+    const b = cam.project(vec3.add(vec3.create(), edit.pivot, dir));
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const l2 = dx * dx + dy * dy;
+    if (l2 < 1e-6) return null; // eje mirando a cámara
+
+    const mx = this._mouse[0] - edit.mouse[0];
+    const my = this._mouse[1] - edit.mouse[1];
+    return (mx * dx + my * dy) / l2;
+  }
+
+  // razón entre la distancia actual y la inicial del ratón al pivote, medidas a lo
+  // largo de `dir` en pantalla (escala sobre un eje)
+  _axisRatio(edit, dir) {
+    const cam = this.api.getCamera?.();
+    if (!cam || !edit.mouse || !this._mouse) return null;
+
+    const a = cam.project(edit.pivot);
+    const b = cam.project(vec3.add(vec3.create(), edit.pivot, dir));
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const l = Math.hypot(dx, dy);
+    if (l < 1e-3) return null; // eje mirando a cámara
+
+    const s0 = ((edit.mouse[0] - a[0]) * dx + (edit.mouse[1] - a[1]) * dy) / l;
+    const s1 = ((this._mouse[0] - a[0]) * dx + (this._mouse[1] - a[1]) * dy) / l;
+    return Math.abs(s0) > 1 ? s1 / s0 : null; // click sobre el propio pivote
+  }
+
+  /* ================= MODAL ================= */
+
+  // G / R / S: transformación guiada solo por el ratón, sin tocar el gizmo
+  startModal(kind) {
+    if (this._edit || !this._mouse) return;
+    this._beginEdit(kind, null);
+    const edit = this._edit;
+    if (!edit) return;
+
+    edit.modal = true;
+    edit.axis = -1;
+    edit.constraint = null; // [bool, bool, bool] en la base activa
+    edit.spaceBasis = edit.basis;
+    this.api.main?.setCanvasCursor?.('move');
+  }
+
+  confirmModal() {
+    if (!this._edit?.modal) return;
+    this._applyEdit();
+    this._endEdit();
+    this.api.main?.setCanvasCursor?.('default');
+    this.api.render?.();
+  }
+
+  cancelModal() {
+    const edit = this._edit;
+    if (!edit?.modal) return;
+    edit.frozen = mat4.clone(edit.start);
+    this._applyEdit();
+    this._endEdit();
+    this._swallowContextMenu = true;
+    this.api.main?.setCanvasCursor?.('default');
+    this.api.render?.();
+  }
+
+  // devuelve true si la tecla pertenece a la transformación modal
+  _onModalKey(e, key) {
+    if (key === 'escape') {
+      this.cancelModal();
+      return true;
+    }
+    if (key === 'enter') {
+      this.confirmModal();
+      return true;
+    }
+
+    const i = 'xyz'.indexOf(key);
+    if (i < 0 || key.length !== 1) return false;
+
+    // X: solo X, Shift+X: plano YZ. Repetir la tecla pasa a local y luego libera
+    const axes = e.shiftKey ? [i !== 0, i !== 1, i !== 2] : [i === 0, i === 1, i === 2];
+    const edit = this._edit;
+    const same = edit.constraint && edit.constraint.every((v, j) => v === axes[j]);
+
+    if (!same) {
+      edit.constraint = axes;
+      edit.basis = edit.spaceBasis;
+      edit.local = false;
+    } else if (!edit.local) {
+      edit.basis = matrixBasis(edit.start);
+      edit.local = true;
+    } else {
+      edit.constraint = null;
+      edit.basis = edit.spaceBasis;
+      edit.local = false;
+    }
+    edit.axis = edit.constraint && !e.shiftKey ? i : -1;
+
+    this._applyEdit();
+    this.api.render?.();
+    return true;
+  }
+
+  // traduce el desplazamiento del ratón a offset / angle / factors
+  _readModal(edit) {
+    const basis = edit.basis || WORLD_BASIS;
+    const axes = edit.constraint;
+    const cam = this.api.getCamera?.();
+    const mouse = this._mouse;
+    if (!cam || !mouse || !edit.mouse) return;
+
+    const c = cam.project(edit.pivot);
+    const v0 = [edit.mouse[0] - c[0], edit.mouse[1] - c[1]];
+    const v1 = [mouse[0] - c[0], mouse[1] - c[1]];
+
+    if (edit.kind === 'move') {
+      edit.offset = [0, 0, 0];
+      const dirs = axes ? [0, 1, 2].filter((i) => axes[i]) : null;
+      if (dirs && dirs.length === 1) {
+        edit.offset[dirs[0]] = this._axisDistance(edit, basis[dirs[0]]) || 0;
+      } else if (dirs && dirs.length === 2) {
+        const uv = this._planeOffsets(edit, basis[dirs[0]], basis[dirs[1]]);
+        if (uv) {
+          edit.offset[dirs[0]] = uv[0];
+          edit.offset[dirs[1]] = uv[1];
+        }
+      } else {
+        // libre: plano de la vista
+        const view = this._viewFrame(edit.pivot);
+        const uv = view && this._planeOffsets(edit, view.right, view.up);
+        if (uv) {
+          const t = vec3.scale(vec3.create(), view.right, uv[0]);
+          vec3.scaleAndAdd(t, t, view.up, uv[1]);
+          for (let i = 0; i < 3; i++) edit.offset[i] = vec3.dot(t, basis[i]);
+        }
+      }
+      return;
+    }
+
+    if (edit.kind === 'rotate') {
+      // ángulo barrido alrededor del pivote en pantalla (y hacia abajo)
+      const angle = Math.atan2(v1[1], v1[0]) - Math.atan2(v0[1], v0[0]);
+      const view = this._viewFrame(edit.pivot);
+      const forward = view ? view.forward : [0, 0, -1];
+      const k = axes && axes.filter(Boolean).length === 1 ? axes.indexOf(true) : -1;
+      if (k >= 0) {
+        edit.rotAxis = vec3.clone(basis[k]);
+        edit.angle = vec3.dot(basis[k], forward) < 0 ? -angle : angle;
+      } else {
+        edit.rotAxis = vec3.clone(forward);
+        edit.angle = angle;
+      }
+      return;
+    }
+
+    // scale: razón de distancias al pivote en pantalla
+    const d0 = Math.hypot(v0[0], v0[1]);
+    const f = d0 > 1 ? Math.hypot(v1[0], v1[1]) / d0 : 1;
+    edit.factors = [0, 1, 2].map((i) => (!axes || axes[i] ? f : 1));
+  }
+
+  // coeficientes (u, v) tales que pivot + u*d0 + v*d1 queda bajo el ratón
+  _planeOffsets(edit, d0, d1) {
+    const cam = this.api.getCamera?.();
+    if (!cam || !edit.mouse || !this._mouse) return null;
+
+    const c = cam.project(edit.pivot);
+    const a = cam.project(vec3.add(vec3.create(), edit.pivot, d0));
+    const b = cam.project(vec3.add(vec3.create(), edit.pivot, d1));
+    const ax = a[0] - c[0], ay = a[1] - c[1];
+    const bx = b[0] - c[0], by = b[1] - c[1];
+    const det = ax * by - ay * bx;
+    if (Math.abs(det) < 1e-6) return null; // plano de canto
+
+    const mx = this._mouse[0] - edit.mouse[0];
+    const my = this._mouse[1] - edit.mouse[1];
+    return [(mx * by - my * bx) / det, (ax * my - ay * mx) / det];
+  }
+
+  // ejes de la cámara en mundo: right, up y forward (hacia la escena)
+  _viewFrame(target) {
+    const cam = this.api.getCamera?.();
+    const view = cam?.getView?.();
+    if (view) {
+      return {
+        right: [view[0], view[4], view[8]],
+        up: [view[1], view[5], view[9]],
+        forward: [-view[2], -view[6], -view[10]]
+      };
+    }
+
+    const eye = cam?.computePosition?.();
+    if (!eye) return null;
+    const forward = vec3.sub(vec3.create(), target, eye);
+    vec3.normalize(forward, forward);
+    const right = vec3.cross(vec3.create(), forward, [0, 1, 0]);
+    if (vec3.length(right) < 1e-6) vec3.set(right, 1, 0, 0);
+    vec3.normalize(right, right);
+    const up = vec3.cross(vec3.create(), right, forward);
+    return { right, up, forward };
+  }
+
+  /* ================= NUMERIC ================= */
+
+  _openNumInput(text) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = text;
+    input.placeholder = 'x 0.5';
+    const [cx, cy] = this._client || [window.innerWidth / 2, window.innerHeight / 2];
+    input.style.cssText = `
+      position: fixed; left: ${cx + 16}px; top: ${cy + 16}px; z-index: 10000;
+      width: 90px; padding: 3px 6px; font: 12px monospace;
+      background: #222; color: #fff; border: 1px solid #ff9900; border-radius: 3px;
+    `;
 
-    gizmo._updateTranslateEdit = function (...args) {
-      if (this._pluginSpace !== 'global' && this._pluginBasis) {
-        this._translateAxis = this._pluginBasis;
+    input.addEventListener('input', () => this._onNumInput());
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this._finishNumInput(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this._finishNumInput(false);
       }
-      return _updateTranslate.apply(this, args);
+    });
+
+    document.body.appendChild(input);
+    this._numInput = input;
+    input.focus();
+    input.setSelectionRange(text.length, text.length);
+    this._onNumInput();
+  }
+
+  _onNumInput() {
+    const edit = this._edit;
+    if (!edit || !this._numInput) return;
+    edit.numeric = parseNumeric(this._numInput.value);
+    this._applyEdit();
+    this.api.render?.();
+  }
+
+  // Enter fija el valor tecleado, Esc vuelve al estado inicial
+  _finishNumInput(confirm) {
+    const edit = this._edit;
+    if (edit) {
+      edit.frozen = mat4.clone(confirm && edit.result ? edit.result : edit.start);
+      this._applyEdit();
+      this.api.render?.();
+    }
+    this._closeNumInput();
+    // en modal, Enter / Esc terminan también la transformación
+    if (edit?.modal) this._endEdit();
+  }
+
+  _closeNumInput() {
+    if (this._numInput && this._numInput.parentNode) this._numInput.parentNode.removeChild(this._numInput);
+    this._numInput = null;
+  }
+
+  openNumericDialog() {
+    if (this._numDialog) return;
+
+    const div = document.createElement('div');
+    div.style.cssText = `
+      position: fixed; top: 60px; right: 20px; z-index: 10000;
+      background: #222; color: #eee; border: 1px solid #555; border-radius: 4px;
+      padding: 10px; font: 12px sans-serif; display: flex; flex-direction: column; gap: 6px;
+    `;
+    div.innerHTML = `
+      <b>Transform numérico</b>
+      <select data-f="kind">
+        <option value="move">Mover</option>
+        <option value="rotate">Rotar (°)</option>
+        <option value="scale">Escalar (factor)</option>
+      </select>
+      <select data-f="axis">
+        <option value="0">X</option>
+        <option value="1">Y</option>
+        <option value="2">Z</option>
+        <option value="-1">Uniforme (escala)</option>
+      </select>
+      <input data-f="value" type="number" step="any" value="0">
+      <div style="display: flex; gap: 6px;">
+        <button data-f="apply">Aplicar</button>
+        <button data-f="close">Cerrar</button>
+      </div>
+    `;
+    const field = (f) => div.querySelector(`[data-f="${f}"]`);
+
+    field('apply').onclick = () => {
+      this.applyNumericTransform(field('kind').value, parseInt(field('axis').value, 10), parseFloat(field('value').value));
     };
+    field('close').onclick = () => this.closeNumericDialog();
+    div.addEventListener('keydown', (e) => e.stopPropagation());
 
-    this._patched = true;
+    document.body.appendChild(div);
+    this._numDialog = div;
+  }
+
+  closeNumericDialog() {
+    if (this._numDialog && this._numDialog.parentNode) this._numDialog.parentNode.removeChild(this._numDialog);
+    this._numDialog = null;
+  }
+
+  // transformación exacta sobre la matriz del mesh, en el espacio activo.
+  // kind: move | rotate | scale, axis: 0..2 (-1 = uniforme), value en unidades, grados o factor
+  applyNumericTransform(kind, axis, value) {
+    const mesh = this.api.getMesh?.();
+    const m = mesh?.getMatrix?.();
+    if (!m || !Number.isFinite(value)) return;
+    if (axis < 0 && kind !== 'scale') return; // solo la escala admite "uniforme"
+    if (kind === 'scale' && value === 0) return;
+
+    const edit = {
+      kind,
+      mesh,
+      axis,
+      start: mat4.clone(m),
+      basis: this.computeBasis(),
+      pivot: this.computePivot(mesh, m),
+      others: this._otherTargets(mesh)
+    };
+    this._applyNumeric(edit, { axis: axis >= 0 ? axis : null, value });
+    this._compose(m, edit);
+    if (edit.others.length) this._applyToOthers(edit, m);
+    this._pushUndo(edit);
+    this._rememberTransform(edit);
+    this.api.render?.();
+  }
+
+  /* ================= PIVOT ================= */
+
+  // punto fijo (mundo) para rotar/escalar; cae en el centro de caja si el
+  // modo elegido no tiene datos
+  // `shared`: con varias mallas, el centro de caja pasa a ser el combinado
+  computePivot(mesh, m, shared = true) {
+    // editando componentes, el centro de caja se sustituye por su centroide
+    let pivot = this.pivot;
+    if (pivot === 'bbox' && this._isComponentEdit(mesh)) pivot = 'selection';
+    else if (pivot === 'bbox' && shared && this._sharesPivot(mesh)) pivot = 'median';
+
+    if (pivot === 'median') {
+      return combinedCenter(this._selectedMeshes(mesh));
+    }
+
+    if (pivot === 'origin') {
+      return vec3.fromValues(m[12], m[13], m[14]);
+    }
+
+    if (pivot === 'picked') {
+      const picking = this.api.getPicking?.();
+      const p = picking?.getIntersectionPoint?.();
+      const onMesh = !picking?.getMesh || picking.getMesh() === mesh;
+      if (p && onMesh && (!picking.getPickedFace || picking.getPickedFace() >= 0)) {
+        return vec3.transformMat4(vec3.create(), p, m);
+      }
+    }
+
+    if (pivot === 'cursor' && this.cursor3D) {
+      return vec3.clone(this.cursor3D);
+    }
+
+    if (pivot === 'selection') {
+      const c = selectionCentroid(this.api, mesh);
+      if (c) return vec3.transformMat4(c, c, m);
+    }
+
+    return meshCenter(mesh, m);
+  }
+
+  // el siguiente click sobre la malla coloca el cursor 3D
+  placeCursor() {
+    this._pickOnce((mesh, face, p) => {
+      this.cursor3D = p;
+      this._updateCursorDiv();
+      this.refresh();
+      this.api.render?.();
+    });
+  }
+
+  // el siguiente click sobre la malla llama a cb(mesh, cara, punto en mundo)
+  _pickOnce(cb) {
+    if (this._pickCallback) return;
+    const canvas = this.api.getCanvas?.();
+    if (!canvas) return;
+    this._pickCallback = cb;
+    canvas.addEventListener('pointerdown', this._onPickOnce, true);
+    this.api.main?.setCanvasCursor?.('crosshair');
+  }
+
+  _onPickOnce(e) {
+    const cb = this._pickCallback;
+    const canvas = this.api.getCanvas?.();
+    canvas?.removeEventListener('pointerdown', this._onPickOnce, true);
+    this._pickCallback = null;
+    this.api.main?.setCanvasCursor?.('default');
+
+    const mesh = this.api.getMesh?.();
+    const picking = this.api.getPicking?.();
+    if (!canvas || !mesh || !picking || !cb) return;
+
+    // que el click no se convierta en trazo de escultura
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = canvas.getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1;
+    if (!picking.intersectionMouseMeshes([mesh], (e.clientX - rect.left) * pr, (e.clientY - rect.top) * pr)) return;
+    const p = picking.getIntersectionPoint();
+    cb(mesh, picking.getPickedFace(), vec3.transformMat4(vec3.create(), p, mesh.getMatrix()));
+  }
+
+  _updateCursorDiv() {
+    const cam = this.api.getCamera?.();
+    const canvas = this.api.getCanvas?.();
+    if (!this.cursor3D || !cam || !canvas) return;
+
+    if (!this._cursorDiv) {
+      const div = document.createElement('div');
+      div.style.cssText = `
+        position: fixed; width: 14px; height: 14px; margin: -8px 0 0 -8px; z-index: 9998;
+        border: 2px dashed #ff3333; border-radius: 50%; pointer-events: none;
+      `;
+      document.body.appendChild(div);
+      this._cursorDiv = div;
+    }
+
+    const rect = canvas.getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1;
+    const sp = cam.project(this.cursor3D);
+    this._cursorDiv.style.left = `${sp[0] / pr + rect.left}px`;
+    this._cursorDiv.style.top = `${sp[1] / pr + rect.top}px`;
+  }
+
+  /* ================= MULTI-MESH ================= */
+
+  // mallas seleccionadas en SculptGL, con la activa incluida
+  _selectedMeshes(mesh) {
+    const list = this.api.main?.getSelectedMeshes?.() || [];
+    return list.includes(mesh) ? list : [mesh, ...list];
+  }
+
+  _isMultiEdit(mesh) {
+    return this._selectedMeshes(mesh).length > 1 && !this._isComponentEdit(mesh);
+  }
+
+  _sharesPivot(mesh) {
+    return this._isMultiEdit(mesh) && this.multiPivot === 'median' && !this.individualOrigins;
+  }
+
+  _otherTargets(mesh) {
+    if (!this._isMultiEdit(mesh)) return [];
+    return this._selectedMeshes(mesh)
+      .filter((o) => o !== mesh && o.getMatrix?.())
+      .map((o) => {
+        const m = o.getMatrix();
+        return {
+          mesh: o,
+          start: mat4.clone(m),
+          native: mat4.clone(m),
+          pivot: this.computePivot(o, m, false)
+        };
+      });
+  }
+
+  // el resto de mallas sigue a la activa: misma transformación de mundo
+  // alrededor del pivote común, o la misma edición sobre su pivote y sus ejes
+  _applyToOthers(edit, result) {
+    const delta = mat4.multiply(mat4.create(), result, mat4.invert(mat4.create(), edit.start));
+    // Esc en la entrada numérica: todas vuelven a su estado inicial
+    const cancelled = edit.frozen && mat4.exactEquals(edit.frozen, edit.start);
+    const individual = this.individualOrigins && !cancelled && (edit.offset || edit.factors || edit.rotAxis);
+
+    for (const o of edit.others) {
+      const out = o.mesh.getMatrix();
+      if (!individual) {
+        mat4.multiply(out, delta, o.start);
+        continue;
+      }
+
+      const basis = this.space === 'local' ? matrixBasis(o.start) : edit.basis;
+      const own = { ...edit, start: o.start, basis, pivot: o.pivot };
+      if (edit.kind === 'rotate' && edit.basis) {
+        // el eje de giro es un eje de la base: tomar el mismo eje de esta malla
+        const k = edit.basis.findIndex((b) => vec3.dot(b, edit.rotAxis) > 0.999);
+        if (k >= 0) own.rotAxis = vec3.clone((basis || WORLD_BASIS)[k]);
+      }
+      this._compose(out, own);
+    }
+  }
+
+  /* ================= DUPLICATE / ARRAY ================= */
+
+  // duplica las mallas seleccionadas (vía SculptGL); devuelve las copias,
+  // que pasan a ser la selección
+  _duplicateSelection() {
+    const main = this.api.main;
+    if (!main?.duplicateSelection || !main.getMeshes) return [];
+    const before = new Set(main.getMeshes());
+    main.duplicateSelection();
+    return main.getMeshes().filter((m) => !before.has(m));
+  }
+
+  duplicateAndGrab() {
+    const beforeCopy = this._undoMark();
+    if (this._edit || !this._duplicateSelection().length) return;
+    this.startModal('move');
+    if (this._edit) this._edit.copyUndoMark = beforeCopy;
+  }
+
+  // transformación de mundo de la última edición, para los arrays
+  _rememberTransform(edit) {
+    if (edit.verts) return;
+    const result = edit.mesh.getMatrix();
+    if (mat4.exactEquals(result, edit.start)) return;
+    this._lastTransform = {
+      delta: mat4.multiply(mat4.create(), result, mat4.invert(mat4.create(), edit.start)),
+      pivot: vec3.clone(edit.pivot)
+    };
+  }
+
+  promptRepeatArray() {
+    if (!this._lastTransform) return;
+    const count = parseInt(window.prompt('Copias:', '4'), 10);
+    const delta = this._lastTransform.delta;
+    this.makeArray(count, (i, out) => {
+      mat4.identity(out);
+      for (let k = 0; k < i; k++) mat4.multiply(out, delta, out);
+      return out;
+    });
+  }
+
+  promptLinearArray() {
+    const count = parseInt(window.prompt('Copias:', '4'), 10);
+    const axis = 'xyz'.indexOf((window.prompt('Eje (x/y/z):', 'x') || '').trim().toLowerCase());
+    const dist = parseFloat(window.prompt('Separación (unidades):', '1'));
+    if (axis < 0 || !Number.isFinite(dist)) return;
+
+    const dir = (this.computeBasis() || WORLD_BASIS)[axis];
+    this.makeArray(count, (i, out) => mat4.fromTranslation(out, vec3.scale(vec3.create(), dir, dist * i)));
+  }
+
+  // copias repartidas en 360° alrededor del pivote activo
+  promptRadialArray() {
+    const mesh = this.api.getMesh?.();
+    const count = parseInt(window.prompt('Copias (incluida la original):', '6'), 10);
+    const axis = 'xyz'.indexOf((window.prompt('Eje (x/y/z):', 'z') || '').trim().toLowerCase());
+    if (!mesh || axis < 0 || !(count > 1)) return;
+
+    const dir = (this.computeBasis() || WORLD_BASIS)[axis];
+    const pivot = this.computePivot(mesh, mesh.getMatrix());
+    const step = 2 * Math.PI / count;
+    this.makeArray(count - 1, (i, out) => {
+      const rot = mat4.fromRotation(mat4.create(), step * i, dir);
+      return composeAbout(out, rot, pivot, mat4.create());
+    });
+  }
+
+  // count copias de la malla activa; la copia i recibe stepFn(i, out) * M
+  makeArray(count, stepFn) {
+    const main = this.api.main;
+    const mesh = this.api.getMesh?.();
+    if (!mesh || !main?.setMesh || !(count > 0)) return;
+
+    const start = mat4.clone(mesh.getMatrix());
+    const mark = this._undoMark();
+    const step = mat4.create();
+    for (let i = 1; i <= count; i++) {
+      main.setMesh(mesh);
+      const [copy] = this._duplicateSelection();
+      if (!copy) break;
+      mat4.multiply(copy.getMatrix(), stepFn(i, step), start);
+    }
+    main.setMesh(mesh);
+
+    // todas las copias se deshacen de una vez
+    this._squashUndo(mark);
+    this.refresh();
+    this.api.render?.();
+  }
+
+  /* ================= COMPONENTS ================= */
+
+  _isComponentEdit(mesh) {
+    const sel = this.api.componentSelection;
+    return this.components && !!sel && sel.getMesh?.() === mesh && sel.hasSelection();
+  }
+
+  // vértices afectados: la selección con peso 1 y, con edición proporcional,
+  // los vecinos dentro del radio con caída suave
+  _gatherComponents(mesh, m) {
+    const selected = this.api.componentSelection.getSelectedVertices();
+    const vAr = mesh.getVertices();
+    const nbVerts = mesh.getNbVertices();
+    const ids = [];
+    const weights = [];
+
+    if (!this.proportional) {
+      for (const v of selected) {
+        ids.push(v);
+        weights.push(1);
+      }
+    } else {
+      // rejilla hash de los seleccionados (celda = radio) en mundo
+      const r = this.proportionalRadius;
+      const grid = new Map();
+      const world = new Float32Array(nbVerts * 3);
+      const p = vec3.create();
+      for (let v = 0; v < nbVerts; v++) {
+        vec3.transformMat4(p, [vAr[v * 3], vAr[v * 3 + 1], vAr[v * 3 + 2]], m);
+        world.set(p, v * 3);
+      }
+      for (const v of selected) {
+        const key = cellKey(world[v * 3] / r, world[v * 3 + 1] / r, world[v * 3 + 2] / r);
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(v);
+      }
+
+      for (let v = 0; v < nbVerts; v++) {
+        if (selected.has(v)) {
+          ids.push(v);
+          weights.push(1);
+          continue;
+        }
+        const x = world[v * 3], y = world[v * 3 + 1], z = world[v * 3 + 2];
+        const cx = Math.floor(x / r), cy = Math.floor(y / r), cz = Math.floor(z / r);
+        let best = r * r;
+        for (let i = -1; i <= 1; i++) for (let j = -1; j <= 1; j++) for (let k = -1; k <= 1; k++) {
+          const cell = grid.get(`${cx + i}_${cy + j}_${cz + k}`);
+          if (!cell) continue;
+          for (const s of cell) {
+            const dx = world[s * 3] - x, dy = world[s * 3 + 1] - y, dz = world[s * 3 + 2] - z;
+            const d2 = dx * dx + dy * dy + dz * dz;
+            if (d2 < best) best = d2;
+          }
+        }
+        if (best >= r * r) continue;
+        ids.push(v);
+        weights.push(smoothFalloff(Math.sqrt(best) / r));
+      }
+    }
+
+    const orig = new Float32Array(ids.length * 3);
+    ids.forEach((v, i) => orig.set(vAr.subarray(v * 3, v * 3 + 3), i * 3));
+    return { ids: Uint32Array.from(ids), weights: Float32Array.from(weights), orig };
+  }
+
+  // aplica (result * start^-1) a los vértices afectados, ponderado por su peso
+  _deformComponents(edit, result) {
+    const { ids, weights, orig } = edit.verts;
+    const mesh = edit.mesh;
+    const vAr = mesh.getVertices();
+
+    const toWorld = edit.start;
+    const toLocal = mat4.invert(mat4.create(), edit.start);
+    const delta = mat4.multiply(mat4.create(), result, toLocal);
+
+    const p0 = vec3.create();
+    const p1 = vec3.create();
+    for (let i = 0; i < ids.length; i++) {
+      vec3.set(p0, orig[i * 3], orig[i * 3 + 1], orig[i * 3 + 2]);
+      vec3.transformMat4(p0, p0, toWorld);
+      vec3.transformMat4(p1, p0, delta);
+      vec3.lerp(p1, p0, p1, weights[i]);
+      vec3.transformMat4(p1, p1, toLocal);
+      vAr.set(p1, ids[i] * 3);
+    }
+
+    updateMeshGeometry(this.api, mesh, ids);
+  }
+
+  // normal media (mundo) de la selección, ponderada por área; sin caras
+  // cerradas se usan las que tocan los vértices seleccionados. Recorrer las caras
+  // es caro en mallas grandes: se guarda hasta que cambian la selección o su
+  // geometría (revisión del plugin) o la matriz
+  _componentNormal(mesh, m) {
+    const sel = this.api.componentSelection;
+    const revision = sel.getRevision?.();
+    const cache = this._normalCache;
+    if (cache && revision !== undefined && cache.mesh === mesh && cache.revision === revision && mat4.exactEquals(cache.matrix, m)) {
+      return cache.normal;
+    }
+
+    let faces = sel.getSelectedFaces();
+    if (!faces.length) faces = mesh.getFacesFromVertices?.(Array.from(sel.getSelectedVertices())) || [];
+    const normal = areaWeightedNormal(mesh, faces, m);
+    this._normalCache = { mesh, revision, matrix: mat4.clone(m), normal };
+    return normal;
+  }
+
+  /* ================= UNDO ================= */
+
+  _stateManager() {
+    return this.api.main?.getStateManager?.() || this.api.getStateManager?.() || null;
+  }
+
+  // marca de la pila de deshacer: su entrada de arriba. El índice no basta: con la
+  // pila llena, pushState desplaza las entradas (shift) y el índice no avanza
+  _undoMark() {
+    const sm = this._stateManager();
+    if (!Array.isArray(sm?._undos) || typeof sm._curUndoIndex !== 'number') return null;
+    return { top: sm._undos[sm._curUndoIndex] || null };
+  }
+
+  // índice actual de la entrada marcada (-1 si la pila estaba vacía), null si ya
+  // salió por el fondo de la pila
+  _markIndex(sm, mark) {
+    if (!mark || !Array.isArray(sm._undos)) return null;
+    if (!mark.top) return -1;
+    const i = sm._undos.lastIndexOf(mark.top, sm._curUndoIndex);
+    return i >= 0 ? i : null;
+  }
+
+  // un arrastre completo = una sola entrada de deshacer (matriz o vértices)
+  _pushUndo(edit) {
+    const sm = this._stateManager();
+    if (!sm?.pushState) return;
+
+    const entries = [];
+    if (edit.verts) {
+      const vAr = edit.mesh.getVertices();
+      const after = new Float32Array(edit.verts.orig.length);
+      edit.verts.ids.forEach((v, i) => after.set(vAr.subarray(v * 3, v * 3 + 3), i * 3));
+      entries.push({ mesh: edit.mesh, before: edit.verts.orig, after, ids: edit.verts.ids });
+    } else {
+      entries.push({ mesh: edit.mesh, before: edit.start, after: mat4.clone(edit.mesh.getMatrix()), ids: null });
+    }
+    for (const o of edit.others || []) {
+      entries.push({ mesh: o.mesh, before: o.start, after: mat4.clone(o.mesh.getMatrix()), ids: null });
+    }
+    const state = new GizmoState(this.api, entries);
+
+    // lo que el gizmo original haya apilado durante el arrastre queda
+    // sustituido por la entrada del plugin
+    const from = this._markIndex(sm, edit.undoMark);
+    if (from !== null && sm._curUndoIndex > from) {
+      sm._undos.length = from + 1;
+      sm._curUndoIndex = from;
+    }
+
+    if (!state.isNoop()) sm.pushState(state);
+    // tras duplicar, deshacer el movimiento deshace también la copia
+    this._squashUndo(edit.copyUndoMark);
+  }
+
+  // junta en una sola entrada todo lo apilado después de la marca
+  _squashUndo(mark) {
+    const sm = this._stateManager();
+    const from = sm?.pushState ? this._markIndex(sm, mark) : null;
+    if (from === null) return;
+    const states = sm._undos.slice(from + 1, sm._curUndoIndex + 1);
+    if (states.length < 2) return;
+    sm._undos.length = from + 1;
+    sm._curUndoIndex = from;
+    sm.pushState(new CompositeState(states));
+  }
+
+  /* ================= RENDER ================= */
+
+  // elementos DOM que siguen a la cámara se recolocan tras cada render
+  _hookRender() {
+    hookRender(this.api.main, () => this._afterRender());
+  }
+
+  _afterRender() {
+    this._updateCursorDiv();
+    this._updateHud();
+  }
+
+  /* ================= HUD ================= */
+
+  _updateHud() {
+    const canvas = this.api.getCanvas?.();
+    if (!this.hud || !canvas) {
+      if (this._hudDiv) this._hudDiv.style.display = 'none';
+      return;
+    }
+
+    if (!this._hudDiv) {
+      const div = document.createElement('div');
+      div.style.cssText = `
+        position: fixed; z-index: 9998; pointer-events: none; white-space: pre;
+        padding: 6px 8px; border-radius: 4px; font: 11px/1.4 monospace;
+        background: rgba(0, 0, 0, 0.55); color: #ddd;
+      `;
+      document.body.appendChild(div);
+      this._hudDiv = div;
+    }
+
+    const rect = canvas.getBoundingClientRect();
+    this._hudDiv.style.display = 'block';
+    this._hudDiv.style.left = `${rect.left + 10}px`;
+    this._hudDiv.style.top = `${rect.top + 10}px`;
+    this._hudDiv.textContent = this._hudText();
+  }
+
+  _hudText() {
+    const axes = 'XYZ'.split('').filter((a, i) => this.axisMask[i]).join('') || '-';
+    const snap = this.isSnapping()
+      ? `${this.snapTranslate} / ${this.snapRotate}° / ${this.snapScale}`
+      : 'off';
+    const mesh = this.api.getMesh?.();
+    const space = mesh && this._usesComponentNormal(mesh) ? 'Normal (selección)' : spaceLabel(this.space);
+    const lines = [
+      `Gizmo+  ${HUD_MODES[this.mode] || this.mode}`,
+      `Espacio ${space}   Ejes ${axes}`,
+      `Pivote  ${HUD_PIVOTS[this.pivot] || this.pivot}   Snap ${snap}`
+    ];
+    if (this.proportional) lines.push(`Proporcional r=${this.proportionalRadius}`);
+    if (this.surfaceSnap) lines.push(`Snap superficie${this.surfaceAlign ? ' + alinear Z' : ''}`);
+
+    const edit = this._edit;
+    if (!edit) return lines.join('\n');
+
+    lines.push('');
+    let axis = edit.axis !== null && edit.axis >= 0 ? 'XYZ'[edit.axis] : 'libre';
+    if (edit.constraint) {
+      axis = 'XYZ'.split('').filter((a, i) => edit.constraint[i]).join('') + (edit.local ? ' (local)' : '');
+    }
+    lines.push(`${HUD_KINDS[edit.kind]}${edit.modal ? ' (modal)' : ''}   Eje ${axis}${edit.verts ? '   Componentes' : ''}`);
+
+    if (edit.kind === 'move' && edit.offset) {
+      const [x, y, z] = edit.offset;
+      lines.push(`Δ ${fmt(x)} ${fmt(y)} ${fmt(z)}   |Δ| ${fmt(Math.hypot(x, y, z))}`);
+    } else if (edit.kind === 'rotate' && edit.angle !== undefined) {
+      lines.push(`Ángulo ${fmt(edit.angle * 180 / Math.PI)}°`);
+    } else if (edit.kind === 'scale' && edit.factors) {
+      lines.push(`Escala ${edit.factors.map(fmt).join(' ')}`);
+    }
+
+    if (edit.result) {
+      const delta = mat4.multiply(mat4.create(), edit.result, mat4.invert(mat4.create(), edit.start));
+      const p = vec3.transformMat4(vec3.create(), edit.center, delta);
+      lines.push(`Pos ${fmt(p[0])} ${fmt(p[1])} ${fmt(p[2])}`);
+    }
+    if (this._numInput) lines.push(`Valor: ${this._numInput.value}`);
+    return lines.join('\n');
+  }
+
+  /* ================= NORMAL ================= */
+
+  // el siguiente click fija la normal del espacio 'normal'
+  pickSurfaceNormal() {
+    this._pickOnce((mesh) => {
+      const n = this._sampleSurfaceNormal(mesh);
+      if (!n) return;
+      this._surfaceNormal = n;
+      this.setSpace('normal');
+      this.api.render?.();
+    });
+  }
+
+  // normal del área del pincel en el último picking (ponderada por área), o
+  // la de la cara picada
+  _sampleSurfaceNormal(mesh) {
+    const picking = this.api.getPicking?.();
+    const face = picking?.getPickedFace?.() ?? -1;
+    if (face < 0 || (picking.getMesh && picking.getMesh() !== mesh)) return null;
+
+    const m = mesh.getMatrix();
+    picking.computePickedVertices?.();
+    const verts = picking.getPickedVertices?.();
+    const faces = verts && verts.length ? mesh.getFacesFromVertices?.(verts) : null;
+    return (faces && areaWeightedNormal(mesh, faces, m)) || areaWeightedNormal(mesh, [face], m);
+  }
+
+  /* ================= ORIENTATIONS ================= */
+
+  // normal de la cara + tangente de su arista más larga
+  createOrientationFromFace() {
+    this._pickOnce((mesh, face) => {
+      if (face < 0) return;
+      const fAr = mesh.getFaces();
+      const ids = faceVertices(fAr, face);
+      const m = mesh.getMatrix();
+      const pts = ids.map((v) => worldVertex(mesh, v, m));
+
+      const n = vec3.cross(vec3.create(),
+        vec3.sub(vec3.create(), pts[1], pts[0]),
+        vec3.sub(vec3.create(), pts[2], pts[0]));
+      const edges = ids.map((v, i) => [pts[i], pts[(i + 1) % ids.length]]);
+      this._saveOrientation(frameFromNormalTangent(n, longestEdge(edges)));
+    });
+  }
+
+  // normal media de la selección + tangente de su arista más larga
+  createOrientationFromSelection() {
+    const mesh = this.api.getMesh?.();
+    const sel = this.api.componentSelection;
+    if (!mesh || !sel || sel.getMesh?.() !== mesh || !sel.hasSelection()) return;
+
+    const m = mesh.getMatrix();
+    const n = this._componentNormal(mesh, m);
+    if (!n) return;
+    const edges = sel.getSelectedEdges().map(([a, b]) => [worldVertex(mesh, a, m), worldVertex(mesh, b, m)]);
+    this._saveOrientation(frameFromNormalTangent(n, longestEdge(edges)));
+  }
+
+  _saveOrientation(basis) {
+    const def = `Orientación ${this.orientations.length + 1}`;
+    const name = (window.prompt('Nombre de la orientación:', def) || '').trim();
+    if (!name) return;
+
+    const existing = this.orientations.find((o) => o.name === name);
+    if (existing) existing.basis = basis;
+    else {
+      this.orientations.push({ name, basis });
+      this._addOrientationAction(name);
+    }
+    storeOrientations(this.orientations);
+    this.setSpace(`custom:${name}`);
+  }
+
+  _addOrientationAction(name) {
+    this.api.addGuiAction('Gizmo+', `Espacio: ${name}`, () => this.setSpace(`custom:${name}`));
+  }
+
+  promptDeleteOrientation() {
+    const name = window.prompt('Orientación a borrar:', this.orientations.map((o) => o.name).join(', '));
+    const i = this.orientations.findIndex((o) => o.name === name);
+    if (i < 0) return;
+
+    this.orientations.splice(i, 1);
+    storeOrientations(this.orientations);
+    this.api.removeGuiAction?.('Gizmo+', `Espacio: ${name}`);
+    if (this.space === `custom:${name}`) this.setSpace('global');
+  }
+
+  // sustituye la lista (importada) manteniendo el menú al día
+  _replaceOrientations(list) {
+    const names = new Set(list.map((o) => o.name));
+    const known = new Set(this.orientations.map((o) => o.name));
+    this.orientations.forEach((o) => {
+      if (!names.has(o.name)) this.api.removeGuiAction?.('Gizmo+', `Espacio: ${o.name}`);
+    });
+    list.forEach((o) => {
+      if (!known.has(o.name)) this._addOrientationAction(o.name);
+    });
+    this.orientations = list;
+    storeOrientations(list);
+  }
+
+  /* ================= SETTINGS ================= */
+
+  getSettings() {
+    const s = {};
+    SETTINGS_FIELDS.forEach((k) => { s[k] = this[k]; });
+    s.axisMask = this.axisMask.slice();
+    return s;
+  }
+
+  // ignora campos desconocidos o de otro tipo (archivos de versiones anteriores)
+  applySettings(s) {
+    if (!s || typeof s !== 'object') return;
+    SETTINGS_FIELDS.forEach((k) => {
+      const v = s[k];
+      if (k === 'axisMask') {
+        if (Array.isArray(v) && v.length === 3) this.axisMask = v.map(Boolean);
+      } else if (typeof v === typeof this[k] && (typeof v !== 'number' || Number.isFinite(v))) {
+        this[k] = v;
+      }
+    });
+    if (this.space.startsWith('custom:') && !this.orientations.some((o) => `custom:${o.name}` === this.space)) {
+      this.space = 'global';
+    }
+  }
+
+  saveSettings() {
+    writeStorage(SETTINGS_KEY, this.getSettings());
+  }
+
+  _onSettingsExport(e) {
+    e.detail[SETTINGS_SECTION] = Object.assign(this.getSettings(), { orientations: this.orientations });
+  }
+
+  _onSettingsImport(e) {
+    const s = e.detail[SETTINGS_SECTION];
+    if (!s) return;
+    if (Array.isArray(s.orientations)) this._replaceOrientations(validOrientations(s.orientations));
+    this.applySettings(s);
+    this.refresh();
   }
 
   /* ================= BASIS ================= */
@@ -114,43 +1787,361 @@ export default class AdvancedGizmoPlugin {
     const m = mesh.getMatrix?.();
     if (!m) return null;
 
-    // columnas X,Y,Z
-    const x = [m[0], m[1], m[2]];
-    const y = [m[4], m[5], m[6]];
-    const z = [m[8], m[9], m[10]];
+    // columnas X,Y,Z normalizadas
+    const [x, y, z] = matrixBasis(m);
+
+    if (this.space.startsWith('custom:')) {
+      const o = this.orientations.find((it) => `custom:${it.name}` === this.space);
+      if (o) return o.basis.map((v) => v.slice());
+    }
 
-    // normalizar
-    normalize(x);
-    normalize(y);
-    normalize(z);
+    // componentes: Z = normal media de la selección (en el espacio Normal, o en
+    // todos con componentNormal)
+    const n = this._usesComponentNormal(mesh) ? this._componentNormal(mesh, m) : null;
+    if (n) return normalFrame(n, x, y);
 
     if (this.space === 'local') {
       return [x, y, z];
     }
 
-    if (this.space === 'normal') {
-      const n = this.api.getPicking?.()?.computePickedNormal?.();
-      if (n) {
-        normalize(n);
-        return [n, cross(n, x), cross(n, y)];
-      }
+    if (this.space === 'normal' && this._surfaceNormal) {
+      return normalFrame(this._surfaceNormal, x, y);
     }
 
     return null;
   }
+
+  // las orientaciones guardadas mandan sobre la normal de la selección
+  _usesComponentNormal(mesh) {
+    if (this.space.startsWith('custom:')) return false;
+    return (this.componentNormal || this.space === 'normal') && this._isComponentEdit(mesh);
+  }
+}
+
+/* ================= UNDO STATE ================= */
+
+// entrada para el StateManager de SculptGL: el mismo objeto sirve de undo y redo.
+// entries: [{ mesh, before, after, ids }] (ids null = matriz del mesh)
+class GizmoState {
+  constructor(api, entries) {
+    this._api = api;
+    this._entries = entries;
+  }
+
+  isNoop() {
+    return this._entries.every(({ before, after }) => {
+      for (let i = 0; i < before.length; i++) {
+        if (before[i] !== after[i]) return false;
+      }
+      return true;
+    });
+  }
+
+  undo() {
+    this._apply('before');
+  }
+
+  redo() {
+    this._apply('after');
+  }
+
+  createRedo() {
+    return this;
+  }
+
+  _apply(which) {
+    for (const entry of this._entries) {
+      const { mesh, ids } = entry;
+      const data = entry[which];
+      if (ids) {
+        const vAr = mesh.getVertices();
+        ids.forEach((v, i) => vAr.set(data.subarray(i * 3, i * 3 + 3), v * 3));
+        updateMeshGeometry(this._api, mesh, ids);
+      } else {
+        mat4.copy(mesh.getMatrix(), data);
+      }
+    }
+    this._api.getGizmo?.()?.updateMatrices?.();
+    this._api.render?.();
+  }
+}
+
+// varias entradas como una sola: se deshacen en orden inverso y se rehacen en orden.
+// El StateManager pide createRedo() antes de undo(); cada hija crea su redo justo
+// antes de deshacerse, con las posteriores ya deshechas, como si estuvieran sueltas
+class CompositeState {
+  constructor(states) {
+    this._states = states;
+    this._pendingRedo = null;
+  }
+
+  isNoop() {
+    return this._states.length === 0;
+  }
+
+  undo() {
+    const redos = [];
+    for (let i = this._states.length - 1; i >= 0; i--) {
+      redos[i] = this._states[i].createRedo();
+      this._states[i].undo();
+    }
+    if (this._pendingRedo) this._pendingRedo._states = redos;
+    this._pendingRedo = null;
+  }
+
+  redo() {
+    for (const state of this._states) state.redo();
+  }
+
+  createRedo() {
+    this._pendingRedo = new CompositeState([]);
+    return this._pendingRedo;
+  }
 }
 
 /* ================= MATH ================= */
 
+const WORLD_BASIS = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+const MODAL_KEYS = { g: 'move', r: 'rotate', s: 'scale' };
+
+const HUD_MODES = { universal: 'Universal', move: 'Mover', rotate: 'Rotar', scale: 'Escalar' };
+const HUD_KINDS = { move: 'Mover', rotate: 'Rotar', scale: 'Escalar' };
+const HUD_PIVOTS = {
+  bbox: 'Centro de caja',
+  origin: 'Origen',
+  picked: 'Punto picado',
+  cursor: 'Cursor 3D',
+  selection: 'Centroide selección'
+};
+
+function spaceLabel(space) {
+  if (space.startsWith('custom:')) return space.slice(7);
+  return { global: 'Global', local: 'Local', normal: 'Normal' }[space] || space;
+}
+
+function fmt(v) {
+  return (v >= 0 ? ' ' : '') + v.toFixed(3);
+}
+
 function normalize(v) {
   const l = Math.hypot(v[0], v[1], v[2]) || 1;
   v[0] /= l; v[1] /= l; v[2] /= l;
 }
 
-function cross(a, b) {
-  return [
-    a[1] * b[2] - a[2] * b[1],
-    a[2] * b[0] - a[0] * b[2],
-    a[0] * b[1] - a[1] * b[0]
-  ];
+// "2.5", "-90", "x 0.5", "y-3" -> { axis, value }
+function parseNumeric(text) {
+  const match = /^\s*([xyz])?\s*(.*)$/i.exec(text);
+  const axis = match[1] ? 'xyz'.indexOf(match[1].toLowerCase()) : null;
+  const value = parseFloat(match[2]);
+  return { axis, value: Number.isFinite(value) ? value : null };
+}
+
+// índice del eje de mundo dominante en `v`: -1 si no hay uno claro, null si `v` es nulo
+function dominantAxis(v, minRatio) {
+  const l = Math.hypot(v[0], v[1], v[2]);
+  if (l < 1e-8) return null;
+  for (let i = 0; i < 3; i++) {
+    if (Math.abs(v[i]) / l >= minRatio) return i;
+  }
+  return -1;
+}
+
+// ejes locales (columnas normalizadas) de una matriz
+function matrixBasis(m) {
+  const x = [m[0], m[1], m[2]];
+  const y = [m[4], m[5], m[6]];
+  const z = [m[8], m[9], m[10]];
+  normalize(x);
+  normalize(y);
+  normalize(z);
+  return [x, y, z];
+}
+
+function snapValue(v, step) {
+  return step > 0 ? Math.round(v / step) * step : v;
+}
+
+// matriz cuyas columnas son los ejes de la base
+function basisMatrix(basis) {
+  const [x, y, z] = basis;
+  return mat4.fromValues(
+    x[0], x[1], x[2], 0,
+    y[0], y[1], y[2], 0,
+    z[0], z[1], z[2], 0,
+    0, 0, 0, 1
+  );
+}
+
+// out = T(pivot) * lin * T(-pivot) * start
+function composeAbout(out, lin, pivot, start) {
+  const m = mat4.fromTranslation(mat4.create(), pivot);
+  mat4.multiply(m, m, lin);
+  mat4.translate(m, m, vec3.negate(vec3.create(), pivot));
+  return mat4.multiply(out, m, start);
+}
+
+// manejadores del gizmo nativo (objetos con geometría de dibujo/picking)
+function gizmoHandles(gizmo) {
+  return Object.values(gizmo).filter((h) => h && typeof h === 'object' && (h._drawGeo || h._pickGeo));
+}
+
+// centroide (local) de la selección de componentes, si el plugin está activo
+function selectionCentroid(api, mesh) {
+  const sel = api.componentSelection;
+  if (!sel || sel.getMesh?.() !== mesh) return null;
+  const verts = sel.getSelectedVertices();
+  if (!verts.size) return null;
+
+  const vAr = mesh.getVertices();
+  const c = vec3.create();
+  for (const v of verts) {
+    c[0] += vAr[v * 3];
+    c[1] += vAr[v * 3 + 1];
+    c[2] += vAr[v * 3 + 2];
+  }
+  return vec3.scale(c, c, 1 / verts.size);
+}
+
+function cellKey(x, y, z) {
+  return `${Math.floor(x)}_${Math.floor(y)}_${Math.floor(z)}`;
+}
+
+// t en [0, 1] -> peso 1..0 (smoothstep invertido)
+function smoothFalloff(t) {
+  const u = 1 - t;
+  return u * u * (3 - 2 * u);
+}
+
+// normales, octree y buffers tras mover vértices (y la rejilla de selección por región)
+function updateMeshGeometry(api, mesh, ids) {
+  const faces = mesh.getFacesFromVertices?.(ids);
+  if (mesh.updateGeometry) mesh.updateGeometry(faces, ids);
+  mesh.updateBuffers?.();
+  api.componentSelection?.invalidateGeometry?.(mesh);
+}
+
+// índices de una cara (tri o quad; el 4º índice es TRI_INDEX en triángulos)
+function faceVertices(fAr, face) {
+  const base = face * 4;
+  const ids = [fAr[base], fAr[base + 1], fAr[base + 2]];
+  const d = fAr[base + 3];
+  if (!isTri(d)) ids.push(d);
+  return ids;
+}
+
+// suma de normales de cara en mundo (su módulo es proporcional al área)
+function areaWeightedNormal(mesh, faces, m) {
+  const fAr = mesh.getFaces();
+  const n = vec3.create();
+  const e1 = vec3.create();
+  const e2 = vec3.create();
+  const fn = vec3.create();
+  for (const f of faces) {
+    const pts = faceVertices(fAr, f).map((v) => worldVertex(mesh, v, m));
+    // diagonales: vale para triángulos (pts[3] = pts[0]) y quads
+    vec3.sub(e1, pts[2], pts[0]);
+    vec3.sub(e2, pts[3] || pts[0], pts[1]);
+    vec3.add(n, n, vec3.cross(fn, e1, e2));
+  }
+  return vec3.length(n) > 1e-12 ? [n[0], n[1], n[2]] : null;
+}
+
+function worldVertex(mesh, v, m) {
+  const vAr = mesh.getVertices();
+  return vec3.transformMat4(vec3.create(), [vAr[v * 3], vAr[v * 3 + 1], vAr[v * 3 + 2]], m);
+}
+
+// dirección de la arista más larga de [[a, b], ...]
+function longestEdge(edges) {
+  let best = null;
+  let bestLen = 0;
+  for (const [a, b] of edges) {
+    const d = vec3.sub(vec3.create(), b, a);
+    const l = vec3.length(d);
+    if (l > bestLen) {
+      bestLen = l;
+      best = d;
+    }
+  }
+  return best;
+}
+
+// base ortonormal con Z = normal y X = tangente proyectada sobre el plano
+function frameFromNormalTangent(n, t) {
+  const z = vec3.normalize(vec3.create(), n);
+  const x = t ? vec3.scaleAndAdd(vec3.create(), t, z, -vec3.dot(t, z)) : vec3.create();
+  if (vec3.length(x) < 1e-6) {
+    // tangente inútil: cualquier eje de mundo no paralelo a la normal
+    const ref = Math.abs(z[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    vec3.scaleAndAdd(x, ref, z, -vec3.dot(ref, z));
+  }
+  vec3.normalize(x, x);
+  const y = vec3.cross(vec3.create(), z, x);
+  return [Array.from(x), Array.from(y), Array.from(z)];
+}
+
+// Z = normal; X = eje X local proyectado (o Y si la normal es casi
+// paralela), así el marco no gira ni se invierte entre caras vecinas
+function normalFrame(n, x, y) {
+  const nz = vec3.normalize(vec3.create(), n);
+  return frameFromNormalTangent(nz, Math.abs(vec3.dot(nz, x)) < 0.95 ? x : y);
+}
+
+const ORIENTATIONS_KEY = 'gizmoplus.orientations';
+
+function loadOrientations() {
+  const list = readStorage(ORIENTATIONS_KEY, []);
+  return Array.isArray(list) ? validOrientations(list) : [];
+}
+
+function storeOrientations(list) {
+  writeStorage(ORIENTATIONS_KEY, list);
+}
+
+// cada eje de la base: array de 3 números finitos (lo que escribe frameFromNormalTangent)
+function validOrientations(list) {
+  const validAxis = (a) => Array.isArray(a) && a.length === 3 && a.every(Number.isFinite);
+  return list.filter((o) => o && typeof o.name === 'string' && o.name &&
+    Array.isArray(o.basis) && o.basis.length === 3 && o.basis.every(validAxis));
+}
+
+/* ================= SETTINGS FILE ================= */
+
+const SETTINGS_KEY = 'gizmoplus.settings';
+const SETTINGS_FIELDS = [
+  'mode', 'space', 'axisMask', 'pivot', 'multiPivot', 'individualOrigins',
+  'components', 'componentNormal', 'proportional', 'proportionalRadius', 'modalKeys', 'hud',
+  'snap', 'snapTranslate', 'snapRotate', 'snapScale', 'surfaceSnap', 'surfaceAlign',
+];
+
+// sección de Gizmo+ en el archivo de ajustes común (pluginSettings.js)
+const SETTINGS_SECTION = 'gizmoplus';
+
+// centro de la caja que engloba varias mallas (en mundo)
+function combinedCenter(meshes) {
+  const min = vec3.fromValues(Infinity, Infinity, Infinity);
+  const max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+  const p = vec3.create();
+  for (const mesh of meshes) {
+    const m = mesh.getMatrix();
+    const b = mesh.getLocalBound?.();
+    // sin caja local: el centro de la malla como único punto
+    const corners = b
+      ? [0, 1, 2, 3, 4, 5, 6, 7].map((i) => [b[i & 1 ? 3 : 0], b[i & 2 ? 4 : 1], b[i & 4 ? 5 : 2]])
+      : [mesh.getCenter?.() || [0, 0, 0]];
+    for (const c of corners) {
+      vec3.transformMat4(p, c, m);
+      vec3.min(min, min, p);
+      vec3.max(max, max, p);
+    }
+  }
+  return vec3.lerp(vec3.create(), min, max, 0.5);
+}
+
+// centro de la caja del mesh en coordenadas de mundo
+function meshCenter(mesh, m) {
+  const c = mesh.getCenter?.();
+  const out = c ? vec3.fromValues(c[0], c[1], c[2]) : vec3.create();
+  return vec3.transformMat4(out, out, m);
 }
@@ -0,0 +1,158 @@
+// Region select benchmark for ComponentSelectionPlugin (selection.js): runs the plugin's
+// own benchmark() (topology and grid builds, full / quarter canvas box selects of each
+// mode) on a synthetic UV sphere seen through a perspective camera, first with X-Ray off
+// (the default: back faces and occluded components are tested) and then with X-Ray on.
+//
+//   node bench/regionSelect.mjs [rings] [segments]
+//
+// 512 x 1024 by default (~524k faces, quads with triangle fans at the poles). Needs
+// gl-matrix importable from here, like the plugins. The DOM is stubbed just enough for
+// the plugin to run; nothing is drawn.
+
+import { vec4, mat4 } from 'gl-matrix';
+
+const RINGS = parseInt(process.argv[2], 10) || 512;
+const SEGMENTS = parseInt(process.argv[3], 10) || 1024;
+const WIDTH = 1280;
+const HEIGHT = 960;
+
+// 2D context whose drawing calls do nothing (the overlay is redrawn after each select)
+const context2d = new Proxy({}, { get: (target, key) => (key in target ? target[key] : () => {}) });
+const element = () => ({
+  style: {},
+  dataset: {},
+  children: [],
+  appendChild(child) { this.children.push(child); },
+  removeChild() {},
+  addEventListener() {},
+  removeEventListener() {},
+  setAttribute() {},
+  getContext: () => context2d,
+});
+globalThis.window = {
+  innerWidth: WIDTH,
+  innerHeight: HEIGHT,
+  devicePixelRatio: 1,
+  localStorage: { getItem: () => null, setItem() {} },
+  addEventListener() {},
+  removeEventListener() {},
+};
+globalThis.document = { body: element(), createElement: element, createElementNS: element };
+
+// unit sphere, y up: north pole, RINGS - 1 rings of SEGMENTS vertices, south pole
+function uvSphere(rings, segments) {
+  const nbVerts = (rings - 1) * segments + 2;
+  const south = nbVerts - 1;
+  const vert = (r, s) => (r === 0 ? 0 : (r === rings ? south : 1 + (r - 1) * segments + (s % segments)));
+
+  const vAr = new Float32Array(nbVerts * 3);
+  vAr[1] = 1;
+  vAr[south * 3 + 1] = -1;
+  for (let r = 1; r < rings; r++) {
+    const theta = Math.PI * r / rings;
+    for (let s = 0; s < segments; s++) {
+      const phi = 2 * Math.PI * s / segments;
+      const v = vert(r, s);
+      vAr[v * 3] = Math.sin(theta) * Math.cos(phi);
+      vAr[v * 3 + 1] = Math.cos(theta);
+      vAr[v * 3 + 2] = Math.sin(theta) * Math.sin(phi);
+    }
+  }
+
+  const nbFaces = rings * segments;
+  const fAr = new Uint32Array(nbFaces * 4);
+  const centers = new Float32Array(nbFaces * 3);
+  let f = 0;
+  for (let r = 0; r < rings; r++) {
+    for (let s = 0; s < segments; s++, f++) {
+      const quad = [vert(r, s), vert(r + 1, s), vert(r + 1, s + 1), vert(r, s + 1)];
+      // the pole side collapses to one vertex: triangle
+      if (r === 0) quad.splice(3, 1);
+      else if (r === rings - 1) quad.splice(1, 1);
+      for (let k = 0; k < 4; k++) fAr[f * 4 + k] = k < quad.length ? quad[k] : 4294967295;
+      for (const v of quad) {
+        for (let a = 0; a < 3; a++) centers[f * 3 + a] += vAr[v * 3 + a] / quad.length;
+      }
+    }
+  }
+  const fNormals = centers.slice();
+  for (let i = 0; i < nbFaces; i++) {
+    const l = Math.hypot(fNormals[i * 3], fNormals[i * 3 + 1], fNormals[i * 3 + 2]);
+    for (let a = 0; a < 3; a++) fNormals[i * 3 + a] /= l;
+  }
+
+  // vertex rings (CSR, [start, count] per vertex) as SculptGL keeps them
+  const startCount = new Uint32Array(nbVerts * 2);
+  const ring = new Uint32Array(2 * segments + 4 * (nbVerts - 2));
+  let n = 0;
+  const push = (v, neighbors) => {
+    startCount[v * 2] = n;
+    startCount[v * 2 + 1] = neighbors.length;
+    for (const u of neighbors) ring[n++] = u;
+  };
+  for (let v = 0; v < nbVerts; v++) {
+    if (v === 0 || v === south) {
+      const r = v === 0 ? 1 : rings - 1;
+      push(v, Array.from({ length: segments }, (_, s) => vert(r, s)));
+      continue;
+    }
+    const r = 1 + Math.floor((v - 1) / segments);
+    const s = (v - 1) % segments;
+    push(v, [vert(r, s + segments - 1), vert(r, s + 1), vert(r - 1, s), vert(r + 1, s)]);
+  }
+
+  const matrix = mat4.create();
+  return {
+    getVertices: () => vAr,
+    getNormals: () => vAr,
+    getFaces: () => fAr,
+    getNbFaces: () => nbFaces,
+    getNbVertices: () => nbVerts,
+    getFaceCenters: () => centers,
+    getFaceNormals: () => fNormals,
+    getVerticesRingVertStartCount: () => startCount,
+    getVerticesRingVert: () => ring,
+    getMatrix: () => matrix,
+    getLocalBound: () => [-1, -1, -1, 1, 1, 1],
+    getMaterials: () => new Float32Array(nbVerts * 3),
+  };
+}
+
+// perspective camera at z = 3 looking at the origin, projecting like SculptGL's Camera
+function camera() {
+  const eye = [0, 0, 3];
+  const view = mat4.lookAt(mat4.create(), eye, [0, 0, 0], [0, 1, 0]);
+  const proj = mat4.perspective(mat4.create(), Math.PI / 4, WIDTH / HEIGHT, 0.05, 50);
+  const v = vec4.create();
+  return {
+    computePosition: () => eye.slice(),
+    project(p) {
+      vec4.set(v, p[0], p[1], p[2], 1);
+      vec4.transformMat4(v, v, view);
+      vec4.transformMat4(v, v, proj);
+      return [(v[0] / v[3] + 1) * WIDTH * 0.5, (1 - v[1] / v[3]) * HEIGHT * 0.5, (v[2] / v[3] + 1) * 0.5];
+    },
+  };
+}
+
+const { default: ComponentSelectionPlugin } = await import('../selection.js');
+
+const mesh = uvSphere(RINGS, SEGMENTS);
+const canvas = element();
+canvas.getBoundingClientRect = () => ({ left: 0, top: 0, right: WIDTH, bottom: HEIGHT, width: WIDTH, height: HEIGHT });
+const cam = camera();
+const plugin = new ComponentSelectionPlugin({
+  getMesh: () => mesh,
+  getCanvas: () => canvas,
+  getCamera: () => cam,
+  render() {},
+  main: { getMeshes: () => [mesh] },
+});
+
+console.log(`UV sphere ${RINGS} x ${SEGMENTS}: ${mesh.getNbVertices()} vertices, ${mesh.getNbFaces()} faces, canvas ${WIDTH} x ${HEIGHT}`);
+plugin.activate();
+for (const xray of [false, true]) {
+  if (plugin._xray !== xray) plugin.toggleXray();
+  console.table(plugin.benchmark());
+}
+plugin.destroy();
@@ -0,0 +1,70 @@
+// pluginSettings.js
+// Settings persistence shared by the plugins (Gizmo+, PolyMode, Component Selection).
+//
+// Each plugin keeps its preferences in localStorage under its own key. The settings file
+// is { version, plugins: { <section>: settings } }: on export every plugin fills its own
+// section through SETTINGS_EXPORT_EVENT, on import each one reads its own back from
+// SETTINGS_IMPORT_EVENT. The file has a single Export / Import pair of menu entries,
+// added by whichever plugin calls addSettingsMenu first.
+
+export const SETTINGS_FILE = 'sculptgl-plugins.json';
+export const SETTINGS_EXPORT_EVENT = 'sculptgl-plugins:export';
+export const SETTINGS_IMPORT_EVENT = 'sculptgl-plugins:import';
+const SETTINGS_MENU = 'Plugins';
+
+let menuAdded = false;
+
+export function readStorage(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+export function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    // storage unavailable (private mode): settings just won't survive a reload
+  }
+}
+
+export function exportPluginSettings() {
+  const plugins = {};
+  window.dispatchEvent(new CustomEvent(SETTINGS_EXPORT_EVENT, { detail: plugins }));
+
+  const blob = new Blob([JSON.stringify({ version: 1, plugins }, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = SETTINGS_FILE;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+export function importPluginSettings() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+  input.onchange = () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const data = JSON.parse(text);
+        if (!data || !data.plugins || typeof data.plugins !== 'object') throw new Error('missing "plugins" section');
+        window.dispatchEvent(new CustomEvent(SETTINGS_IMPORT_EVENT, { detail: data.plugins }));
+      })
+      .catch((err) => window.alert(`Could not import settings: ${err.message}`));
+  };
+  input.click();
+}
+
+// Plugins > Export / Import Settings, once for all the plugins
+export function addSettingsMenu(api) {
+  if (menuAdded) return;
+  menuAdded = true;
+  api.addGuiAction(SETTINGS_MENU, 'Export Settings…', () => exportPluginSettings());
+  api.addGuiAction(SETTINGS_MENU, 'Import Settings…', () => importPluginSettings());
+}
@@ -1,15 +1,54 @@
+import {
+  SETTINGS_EXPORT_EVENT, SETTINGS_IMPORT_EVENT, readStorage, writeStorage, addSettingsMenu,
+} from './pluginSettings.js';
+import { featherWeights, MaskState, hookRender, ViewportOverlay, isTri } from './selectionCommon.js';
+
 export default class PolyModeMask {
   constructor(api) {
     this.api = api;
     this.active = false;
     this.selection = new Set();
+
+    // Borde suave de la máscara alrededor de la selección
+    // mode: none | distance (unidades de mundo) | rings (anillos de vértices)
+    this.feather = { mode: 'none', distance: 0.1, rings: 2, curve: 'smooth' };
+
+    // Máscara → Selección: caras con todos sus vértices a este valor o más
+    this.maskThreshold = 0.5;
+
+    // Pincel: arrastrar selecciona (Ctrl/Cmd deselecciona) las caras bajo el círculo
+    this.brush = { enabled: false, radius: 40 }; // radio en px de pantalla (CSS)
+    this._brushDiv = null; // círculo que sigue al cursor
+
+    // Entrada (Pointer Events): ratón, lápiz y dedos
+    this._gesture = null;        // gesto de selección en curso (bloquea a SculptGL)
+    this._touches = new Map();   // pointerId -> inicio { x, y } de cada dedo
+    this._twoFingerTap = null;   // { t, moved } mientras hay dos dedos
+    this._mods = { add: false, sub: false }; // modificadores en pantalla (táctil)
+    this._deviceDown = null;     // onDeviceDown original de SculptGL
+    this._history = [];          // copias de la selección para deshacer
+    this._overlay = new ViewportOverlay(); // canvas 2D con la selección, encima del de SculptGL
+    this._renderHooked = false;
+
+    // Preferencias de la sesión anterior (localStorage)
+    this._applySettings(readStorage(SETTINGS_KEY, null));
+
+    this._onSettingsExport = this._onSettingsExport.bind(this);
+    this._onSettingsImport = this._onSettingsImport.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
   }
 
   init() {
+    window.addEventListener(SETTINGS_EXPORT_EVENT, this._onSettingsExport);
+    window.addEventListener(SETTINGS_IMPORT_EVENT, this._onSettingsImport);
+
     // Esperamos un momento para asegurar la carga
     setTimeout(() => {
       this._injectUI();
       this._overrideInput(); // Intervención quirúrgica del input
+      this._hookRender();    // capa de selección sobre el canvas
       console.log("PolyMode Mask: Integrado con el sistema nativo de máscaras.");
     }, 500);
   }
@@ -20,50 +59,180 @@ export default class PolyModeMask {
   _overrideInput() {
     const main = this.api.main;
     const originalOnDeviceDown = main.onDeviceDown.bind(main);
+    const originalOnDeviceMove = main.onDeviceMove.bind(main);
+    const originalOnDeviceUp = main.onDeviceUp.bind(main);
+    this._deviceDown = originalOnDeviceDown; // para devolverle un gesto de cámara
 
-    // Reemplazamos el manejador de entrada principal
+    // SculptGL sigue recibiendo ratón y touch y llama a onDeviceDown/Move/Up.
+    // Solo los bloqueamos mientras el gesto es nuestro (this._gesture): así un
+    // click fuera de la malla, el botón derecho o dos dedos siguen moviendo la cámara.
+    // Los Pointer Events llegan antes que mousedown/touchstart.
     main.onDeviceDown = (event) => {
-      // Si NO estamos en modo selección, dejamos pasar el evento normal
-      if (!this.active) {
-        return originalOnDeviceDown(event);
-      }
+      if (!this._gesture) return originalOnDeviceDown(event);
 
-      // --- MODO SELECCIÓN ACTIVO ---
-      
-      // 1. Obtener la malla
-      const mesh = main.getMesh();
-      if (!mesh) return;
-
-      // 2. Cálculo de Coordenadas para iPad Retina (La parte crítica)
-      // SculptGL usa coordenadas físicas (pixels reales), no lógicas (css pixels).
-      const canvas = main.getCanvas();
-      const rect = canvas.getBoundingClientRect();
-      const pr = window.devicePixelRatio || 1.0;
-      
-      // Coordenada X e Y exactas en el buffer WebGL
-      const mx = (event.clientX - rect.left) * pr;
-      const my = (event.clientY - rect.top) * pr;
+      // BLOQUEO: Evitamos que SculptGL procese esto como un trazo de escultura
+      // (se guarda por si el gesto acaba siendo de cámara)
+      this._gesture.downEvent = event;
+      event.stopPropagation();
+      event.preventDefault();
+    };
 
-      // 3. Picking (Raycasting)
-      const picking = main.getPicking();
-      
-      // intersectionMouse espera coordenadas ya escaladas por el PixelRatio
-      if (picking.intersectionMouse(mesh, mx, my)) {
-        const faceIdx = picking._idId; // ID de la cara seleccionada
-        
-        // 4. Lógica de Selección
-        this._toggleFace(mesh, faceIdx);
-        
-        // 5. BLOQUEO: Evitamos que SculptGL procese esto como un trazo de escultura
-        event.stopPropagation();
-        event.preventDefault();
-        return; 
+    main.onDeviceMove = (event) => {
+      if (!this._gesture) return originalOnDeviceMove(event);
+      event.preventDefault();
+    };
+
+    main.onDeviceUp = (event) => {
+      if (!this._gesture) return originalOnDeviceUp(event);
+    };
+
+    const canvas = main.getCanvas();
+    canvas.addEventListener('pointerdown', this._onPointerDown, true);
+    window.addEventListener('pointermove', this._onPointerMove, true);
+    window.addEventListener('pointerup', this._onPointerUp, true);
+    window.addEventListener('pointercancel', this._onPointerUp, true);
+    canvas.addEventListener('pointerleave', () => this._hideBrushCursor());
+  }
+
+  // Coordenadas para iPad Retina (la parte crítica):
+  // SculptGL usa coordenadas físicas (pixels reales), no lógicas (css pixels).
+  _canvasCoords(event) {
+    const rect = this.api.main.getCanvas().getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1.0;
+    return [(event.clientX - rect.left) * pr, (event.clientY - rect.top) * pr];
+  }
+
+  // Ratón y lápiz actúan al momento (la goma del lápiz deselecciona).
+  // Con el dedo se espera: tocar = seleccionar, mantener = quitar, arrastrar = pincel.
+  _onPointerDown(event) {
+    if (!this.active) return;
+    const main = this.api.main;
+    const mesh = main.getMesh();
+    if (!mesh) return;
+
+    const touch = event.pointerType === 'touch';
+    const eraser = event.pointerType === 'pen' && event.button === 5;
+    if (touch) {
+      this._touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (this._touches.size > 1) {
+        // Segundo dedo: pellizco/desplazamiento de cámara, o toque para deshacer
+        this._releaseGesture();
+        this._twoFingerTap = this._touches.size === 2 ? { t: performance.now(), moved: false } : null;
+        return;
       }
+    } else if (event.button !== 0 && !eraser) {
+      return; // botón derecho / central: cámara
+    }
+
+    // Fuera de la malla el gesto es de cámara
+    // (intersectionMouse espera coordenadas ya escaladas por el PixelRatio)
+    const [mx, my] = this._canvasCoords(event);
+    if (!main.getPicking().intersectionMouse(mesh, mx, my)) return;
+
+    const gesture = {
+      id: event.pointerId,
+      mesh, mx, my,
+      x: event.clientX,
+      y: event.clientY,
+      pressure: event.pointerType === 'pen' ? event.pressure : 1.0,
+      deselect: eraser || event.ctrlKey || event.metaKey || this._mods.sub,
+      started: false,
+      timer: 0,
+      downEvent: null, // mousedown / touchstart retenido a SculptGL
     };
+    this._gesture = gesture;
+
+    if (touch) {
+      gesture.timer = setTimeout(() => this._onLongPress(gesture), LONG_PRESS_MS);
+    } else {
+      this._updateBrushCursor(event); // radio según la presión de este primer toque
+      this._startGesture(gesture);
+    }
+    event.preventDefault();
+  }
+
+  _onPointerMove(event) {
+    if (!this.active) return;
+    this._updateBrushCursor(event);
+
+    const start = this._touches.get(event.pointerId);
+    const moved = !!start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > TAP_SLOP;
+    if (moved && this._twoFingerTap) this._twoFingerTap.moved = true;
+
+    const gesture = this._gesture;
+    if (!gesture || gesture.id !== event.pointerId) return;
+
+    if (!gesture.started) {
+      if (!moved) return;
+      // Un dedo que se desplaza: con pincel empieza el trazo, sin pincel es de cámara
+      // y SculptGL recibe ahora el down que se le bloqueó
+      if (!this.brush.enabled) {
+        this._releaseGesture();
+        if (gesture.downEvent && this._deviceDown) this._deviceDown(gesture.downEvent);
+        return;
+      }
+      this._startGesture(gesture);
+    }
+
+    if (this.brush.enabled) {
+      if (event.pointerType === 'pen') gesture.pressure = event.pressure;
+      const [mx, my] = this._canvasCoords(event);
+      this._paintAt(gesture.mesh, mx, my, gesture);
+    }
+    event.preventDefault();
+  }
+
+  _onPointerUp(event) {
+    if (event.pointerType === 'touch' && this._touches.delete(event.pointerId) && !this._touches.size) {
+      const tap = this._twoFingerTap;
+      if (tap && !tap.moved && event.type !== 'pointercancel' && performance.now() - tap.t < TWO_FINGER_TAP_MS) {
+        this.undoSelection();
+      }
+      this._twoFingerTap = null;
+    }
+
+    const gesture = this._gesture;
+    if (!gesture || gesture.id !== event.pointerId) return;
+    // Toque corto: se aplica al levantar el dedo
+    if (!gesture.started && event.type !== 'pointercancel') this._startGesture(gesture);
+    this._releaseGesture();
+  }
+
+  _onLongPress(gesture) {
+    if (this._gesture !== gesture || gesture.started) return;
+    gesture.deselect = true;
+    this._startGesture(gesture);
+  }
+
+  _startGesture(gesture) {
+    clearTimeout(gesture.timer);
+    gesture.started = true;
+    this._pushHistory();
+
+    if (this.brush.enabled) {
+      this._paintAt(gesture.mesh, gesture.mx, gesture.my, gesture);
+      return;
+    }
+
+    // Picking (Raycasting) de la cara bajo el puntero
+    const picking = this.api.main.getPicking();
+    if (!picking.intersectionMouse(gesture.mesh, gesture.mx, gesture.my)) return;
+    const faceIdx = picking._idId; // ID de la cara seleccionada
+
+    // Lógica de Selección
+    if (gesture.deselect) this._setFace(gesture.mesh, faceIdx, false);
+    else if (this._mods.add) this._setFace(gesture.mesh, faceIdx, true);
+    else this._toggleFace(gesture.mesh, faceIdx);
+  }
+
+  _releaseGesture() {
+    if (!this._gesture) return;
+    clearTimeout(this._gesture.timer);
+    this._gesture = null;
   }
 
   // =================================================================
-  // 2. LÓGICA DE MÁSCARA (Basada en mask.js)
+  // 2. SELECCIÓN Y MÁSCARA (Basada en mask.js)
   // =================================================================
   _toggleFace(mesh, faceIdx) {
     // Actualizamos nuestro Set lógico
@@ -73,41 +242,127 @@ export default class PolyModeMask {
       this.selection.add(faceIdx);
     }
 
-    // Actualizamos el array visual nativo
-    this._updateMaskVisuals(mesh);
+    this._updateOverlay();
+  }
+
+  _setFace(mesh, faceIdx, selected) {
+    if (this.selection.has(faceIdx) === selected) return;
+    if (selected) this.selection.add(faceIdx);
+    else this.selection.delete(faceIdx);
+    this._updateOverlay();
   }
 
-  _updateMaskVisuals(mesh) {
-    // Obtenemos el array de máscaras nativo (Float32Array)
+  _pushHistory() {
+    this._history.push(new Set(this.selection));
+    if (this._history.length > HISTORY_SIZE) this._history.shift();
+  }
+
+  undoSelection() {
+    const prev = this._history.pop();
+    if (!prev) return;
+    this.selection = prev;
+    this._updateOverlay();
+  }
+
+  // La selección se dibuja en su propia capa (ver 5. CAPA DE SELECCIÓN):
+  // basta con volver a renderizar, la máscara de escultura no se toca
+  _updateOverlay() {
+    this.api.render();
+    if (!this._renderHooked) this._drawOverlay();
+  }
+
+  // Vuelca la selección (con difuminado si lo hay) en la máscara nativa:
+  // replace la sustituye, add toma el máximo, subtract la resta, intersect el mínimo.
+  // Queda como un solo paso de deshacer en el StateManager de SculptGL.
+  selectionToMask(op = 'replace') {
+    const mesh = this.api.main.getMesh();
+    if (!mesh || !MASK_OPS.includes(op)) return;
+
     // Si no existe, SculptGL lo crea automáticamente al llamarlo
-    const mask = mesh.getMaskArray(); 
+    const mask = mesh.getMaskArray();
+    const weights = this._maskWeights(mesh);
+    const ids = [];
+    const before = [];
+    const after = [];
+    for (let v = 0; v < mesh.getNbVertices(); v++) {
+      const m = mask[v];
+      const w = weights[v];
+      let value = w;
+      if (op === 'add') value = Math.max(m, w);
+      else if (op === 'subtract') value = Math.min(m, 1.0 - w);
+      else if (op === 'intersect') value = Math.min(m, w);
+      if (value === m) continue;
+      ids.push(v);
+      before.push(m);
+      after.push(value);
+    }
+    if (!ids.length) return;
+
+    const state = new MaskState(this.api, Uint32Array.from(ids), Float32Array.from(before), Float32Array.from(after),
+      (vIds, values) => writeMask(mesh, vIds, values));
+    state.redo();
+    const sm = this.api.main.getStateManager && this.api.main.getStateManager();
+    if (sm && sm.pushState) sm.pushState(state);
+  }
+
+  // Selecciona las caras cuya máscara supera el umbral en todos sus vértices:
+  // replace sustituye la selección, add la amplía, intersect se queda con lo común
+  maskToSelection(op = 'replace') {
+    const mesh = this.api.main.getMesh();
+    if (!mesh || !FROM_MASK_OPS.includes(op)) return;
+
+    const mask = mesh.getMaskArray();
     const faces = mesh.getFaces();
-    
-    // 1. Resetear máscara (llenar de ceros)
-    mask.fill(0.0);
+    const masked = new Set();
+    for (let f = 0; f < mesh.getNbFaces(); f++) {
+      let inside = true;
+      for (let k = 0; k < 4 && inside; k++) {
+        const v = faces[f * 4 + k];
+        if (!isTri(v)) inside = mask[v] >= this.maskThreshold;
+      }
+      if (inside) masked.add(f);
+    }
+
+    this._pushHistory();
+    if (op === 'replace') {
+      this.selection = masked;
+    } else if (op === 'add') {
+      masked.forEach(f => this.selection.add(f));
+    } else {
+      this.selection.forEach(f => { if (!masked.has(f)) this.selection.delete(f); });
+    }
+    this._updateOverlay();
+  }
+
+  setMaskThreshold(value) {
+    if (!(value >= 0 && value <= 1)) return;
+    this.maskThreshold = value;
+    this._saveSettings();
+  }
 
-    // 2. Pintar selección (1.0 = Rojo intenso / Seleccionado)
+  // 1.0 en los vértices de las caras seleccionadas, con borde suave si hay difuminado
+  // (4 índices por cara, el cuarto marca los triángulos: ver isTri)
+  _maskWeights(mesh) {
+    const faces = mesh.getFaces();
+    const verts = new Set();
     this.selection.forEach(fIdx => {
-      // Un triángulo tiene 3 vértices
-      const v1 = faces[fIdx * 3];
-      const v2 = faces[fIdx * 3 + 1];
-      const v3 = faces[fIdx * 3 + 2];
-
-      mask[v1] = 1.0;
-      mask[v2] = 1.0;
-      mask[v3] = 1.0;
+      for (let k = 0; k < 4; k++) {
+        const v = faces[fIdx * 4 + k];
+        if (!isTri(v)) verts.add(v);
+      }
     });
 
-    // 3. IMPORTANTE: Avisar al motor que actualice la geometría
-    // Esto es lo que 'mask.js' hace para que se vea el cambio
-    if (mesh.updateGeometry) mesh.updateGeometry(); // Actualiza buffers
-    else if (mesh.updateBuffers) mesh.updateBuffers(); // Fallback para versiones viejas
-    
-    // Asegurarse de que el renderizado de máscaras esté activo en el shader
-    // (A veces SculptGL optimiza y no lo dibuja si cree que está vacío)
-    if (mesh.setShowMask) mesh.setShowMask(true);
-
-    this.api.render();
+    if (this.feather.mode !== 'none') {
+      const byRings = this.feather.mode === 'rings';
+      return featherWeights(mesh, verts, {
+        byRings,
+        width: byRings ? this.feather.rings : this.feather.distance,
+        curve: this.feather.curve,
+      });
+    }
+    const weights = new Float32Array(mesh.getNbVertices());
+    verts.forEach(v => { weights[v] = 1.0; });
+    return weights;
   }
 
   // =================================================================
@@ -126,33 +381,30 @@ export default class PolyModeMask {
         font-weight: bold; cursor: pointer; display: inline-flex; align-items: center;
       `;
       
-      btn.onclick = () => {
-        this.active = !this.active;
-        if (this.active) {
-          btn.innerText = '🟥 SELECT FACE';
-          btn.style.background = '#d00'; // Rojo para indicar máscara
-          btn.style.borderColor = '#ff5555';
-          this.api.main.setCanvasCursor('crosshair');
-        } else {
-          btn.innerText = '🖌️ SCULPT';
-          btn.style.background = '#333';
-          btn.style.borderColor = '#555';
-          this.api.main.setCanvasCursor('default');
-          
-          // Opcional: Limpiar máscara al salir
-          // this.selection.clear(); 
-          // this._updateMaskVisuals(this.api.main.getMesh());
-        }
-      };
+      btn.onclick = () => this.setActive(!this.active);
 
       topBar.appendChild(btn);
+
+      // Modificadores en pantalla para el iPad (sin Shift/Ctrl)
+      [['add', 'pm-add-btn', '➕ AÑADIR'], ['sub', 'pm-sub-btn', '➖ QUITAR']].forEach(([key, id, label]) => {
+        const mod = document.createElement('button');
+        mod.id = id;
+        mod.innerText = label;
+        mod.style = `
+          background: #333; color: #fff; border: 1px solid #555;
+          padding: 6px 10px; margin-left: 6px; border-radius: 4px; cursor: pointer;
+        `;
+        mod.onclick = () => this.toggleMod(key);
+        topBar.appendChild(mod);
+      });
     }
+    // Estado restaurado de la sesión anterior
+    this._syncActiveUI();
     
     // Acciones extra
     this.api.addGuiAction('PolyMode', 'Limpiar Selección', () => {
       this.selection.clear();
-      const mesh = this.api.main.getMesh();
-      if (mesh) this._updateMaskVisuals(mesh);
+      this._updateOverlay();
     });
     
     this.api.addGuiAction('PolyMode', 'Invertir Selección', () => {
@@ -164,7 +416,332 @@ export default class PolyModeMask {
            if(!this.selection.has(i)) newSel.add(i);
        }
        this.selection = newSel;
-       this._updateMaskVisuals(mesh);
+       this._updateOverlay();
+    });
+
+    this.api.addGuiAction('PolyMode', 'Deshacer selección (dos dedos)', () => this.undoSelection());
+
+    this.api.addGuiAction('PolyMode', 'Selección → Máscara: Reemplazar', () => this.selectionToMask('replace'));
+    this.api.addGuiAction('PolyMode', 'Selección → Máscara: Añadir', () => this.selectionToMask('add'));
+    this.api.addGuiAction('PolyMode', 'Selección → Máscara: Restar', () => this.selectionToMask('subtract'));
+    this.api.addGuiAction('PolyMode', 'Selección → Máscara: Intersecar', () => this.selectionToMask('intersect'));
+    this.api.addGuiAction('PolyMode', 'Máscara → Selección: Reemplazar', () => this.maskToSelection('replace'));
+    this.api.addGuiAction('PolyMode', 'Máscara → Selección: Añadir', () => this.maskToSelection('add'));
+    this.api.addGuiAction('PolyMode', 'Máscara → Selección: Intersecar', () => this.maskToSelection('intersect'));
+    this.api.addGuiAction('PolyMode', 'Umbral de máscara…', () => {
+      const v = parseFloat(window.prompt('Umbral de máscara (0..1):', String(this.maskThreshold)));
+      if (!Number.isNaN(v)) this.setMaskThreshold(v);
     });
+
+    this.api.addGuiAction('PolyMode', 'Pincel: On/Off (Ctrl deselecciona)', () => this.setBrush({ enabled: !this.brush.enabled }));
+    this.api.addGuiAction('PolyMode', 'Pincel: Radio…', () => {
+      const v = parseFloat(window.prompt('Radio del pincel (px):', String(this.brush.radius)));
+      if (v > 0) this.setBrush({ radius: v });
+    });
+
+    this.api.addGuiAction('PolyMode', 'Difuminado: Off', () => this.setFeather({ mode: 'none' }));
+    this.api.addGuiAction('PolyMode', 'Difuminado: Distancia…', () => {
+      const v = parseFloat(window.prompt('Distancia de difuminado (unidades):', String(this.feather.distance)));
+      if (v > 0) this.setFeather({ mode: 'distance', distance: v });
+    });
+    this.api.addGuiAction('PolyMode', 'Difuminado: Anillos…', () => {
+      const v = parseInt(window.prompt('Anillos de difuminado:', String(this.feather.rings)), 10);
+      if (v >= 1) this.setFeather({ mode: 'rings', rings: v });
+    });
+    this.api.addGuiAction('PolyMode', 'Curva: Lineal', () => this.setFeather({ curve: 'linear' }));
+    this.api.addGuiAction('PolyMode', 'Curva: Suave', () => this.setFeather({ curve: 'smooth' }));
+    this.api.addGuiAction('PolyMode', 'Curva: Aguda', () => this.setFeather({ curve: 'sharp' }));
+
+    addSettingsMenu(this.api);
+  }
+
+  setActive(active) {
+    this.active = active;
+    this._syncActiveUI();
+    this._saveSettings();
+    // La capa de selección solo se ve en modo selección
+    this._updateOverlay();
+
+    // Opcional: Limpiar selección al salir
+    // if (!active) this.selection.clear();
+  }
+
+  _syncActiveUI() {
+    const btn = document.getElementById('pm-mask-btn');
+    if (btn) {
+      btn.innerText = this.active ? '🟥 SELECT FACE' : '🖌️ SCULPT';
+      btn.style.background = this.active ? '#d00' : '#333'; // Rojo para indicar máscara
+      btn.style.borderColor = this.active ? '#ff5555' : '#555';
+    }
+    this.api.main.setCanvasCursor(this.active ? 'crosshair' : 'default');
+    if (!this.active) {
+      this._hideBrushCursor();
+      this._releaseGesture();
+    }
+    this._syncModsUI();
+  }
+
+  // Añadir y Quitar se excluyen
+  toggleMod(key) {
+    this._mods[key] = !this._mods[key];
+    if (this._mods[key]) this._mods[key === 'add' ? 'sub' : 'add'] = false;
+    this._syncModsUI();
+  }
+
+  _syncModsUI() {
+    [['add', 'pm-add-btn'], ['sub', 'pm-sub-btn']].forEach(([key, id]) => {
+      const mod = document.getElementById(id);
+      if (!mod) return;
+      mod.style.display = this.active ? 'inline-block' : 'none';
+      mod.style.background = this._mods[key] ? '#d00' : '#333';
+    });
+  }
+
+  // =================================================================
+  // 4. PINCEL DE SELECCIÓN
+  // =================================================================
+
+  // Selecciona (o deselecciona) las caras cuyo centro cae en la esfera de picking
+  // bajo el círculo del pincel. mx, my en pixels físicos, como intersectionMouse.
+  _paintAt(mesh, mx, my, gesture) {
+    const main = this.api.main;
+    const picking = main.getPicking();
+    if (!picking.intersectionMouse(mesh, mx, my)) return;
+
+    const inter = picking.getIntersectionPoint(); // espacio local del mesh
+    const rLocal2 = this._brushRadiusLocal2(mesh, inter, gesture.pressure);
+    const faces = new Set([picking._idId]);
+
+    if (rLocal2 > 0) {
+      const verts = picking.pickVerticesInSphere(rLocal2) || picking.getPickedVertices();
+      const centers = mesh.getFaceCenters();
+      mesh.getFacesFromVertices(verts).forEach(f => {
+        const dx = centers[f * 3] - inter[0];
+        const dy = centers[f * 3 + 1] - inter[1];
+        const dz = centers[f * 3 + 2] - inter[2];
+        if (dx * dx + dy * dy + dz * dz <= rLocal2) faces.add(f);
+      });
+    }
+
+    let changed = false;
+    faces.forEach(f => {
+      if (gesture.deselect) changed = this.selection.delete(f) || changed;
+      else if (!this.selection.has(f)) {
+        this.selection.add(f);
+        changed = true;
+      }
+    });
+    if (changed) this._updateOverlay();
+  }
+
+  // Radio del pincel en espacio local al cuadrado: se desproyecta el borde del círculo
+  // a la profundidad del punto tocado. La presión del lápiz encoge el círculo.
+  _brushRadiusLocal2(mesh, interLocal, pressure = 1.0) {
+    const cam = this.api.main.getCamera();
+    if (!cam || !cam.unproject) return 0;
+
+    const m = mesh.getMatrix();
+    const x = interLocal[0], y = interLocal[1], z = interLocal[2];
+    const world = [
+      m[0] * x + m[4] * y + m[8] * z + m[12],
+      m[1] * x + m[5] * y + m[9] * z + m[13],
+      m[2] * x + m[6] * y + m[10] * z + m[14],
+    ];
+    const sp = cam.project(world);
+    const radius = this._brushRadius(pressure);
+    const edge = cam.unproject(sp[0] + radius * (window.devicePixelRatio || 1.0), sp[1], sp[2]);
+
+    // escala del mesh (longitud de la primera columna)
+    const scale = Math.hypot(m[0], m[1], m[2]) || 1.0;
+    const r = Math.hypot(edge[0] - world[0], edge[1] - world[1], edge[2] - world[2]) / scale;
+    return r * r;
+  }
+
+  // Radio en pantalla (px CSS) para una presión del lápiz
+  _brushRadius(pressure = 1.0) {
+    return this.brush.radius * Math.max(MIN_PRESSURE, pressure);
   }
+
+  setBrush(changes) {
+    Object.assign(this.brush, changes);
+    this._saveSettings();
+    if (!this.brush.enabled) this._hideBrushCursor();
+  }
+
+  _updateBrushCursor(event) {
+    if (!this.active || !this.brush.enabled) {
+      this._hideBrushCursor();
+      return;
+    }
+    if (!this._brushDiv) {
+      const div = document.createElement('div');
+      div.style = `
+        position: fixed; pointer-events: none; z-index: 9999;
+        border: 1px solid rgba(255, 80, 80, 0.9); border-radius: 50%;
+      `;
+      document.body.appendChild(div);
+      this._brushDiv = div;
+    }
+    // El mismo radio que pinta: durante el trazo con lápiz, escalado por la presión
+    const gesture = this._gesture;
+    const pen = event.pointerType === 'pen' && gesture && gesture.id === event.pointerId;
+    const r = this._brushRadius(pen ? event.pressure : 1.0);
+    this._brushDiv.style.display = 'block';
+    this._brushDiv.style.left = `${event.clientX - r}px`;
+    this._brushDiv.style.top = `${event.clientY - r}px`;
+    this._brushDiv.style.width = `${r * 2}px`;
+    this._brushDiv.style.height = `${r * 2}px`;
+  }
+
+  _hideBrushCursor() {
+    if (this._brushDiv) this._brushDiv.style.display = 'none';
+  }
+
+  // =================================================================
+  // 5. CAPA DE SELECCIÓN
+  // =================================================================
+
+  // Tras cada render de SculptGL se redibuja la capa, así sigue a la cámara
+  _hookRender() {
+    this._renderHooked = hookRender(this.api.main, () => this._drawOverlay());
+  }
+
+  // Caras seleccionadas teñidas y con su contorno. Las caras de espaldas a la cámara
+  // (orden de vértices horario en pantalla) no se dibujan.
+  _drawOverlay() {
+    const main = this.api.main;
+    const mesh = main.getMesh();
+    const canvas = main.getCanvas();
+    const cam = main.getCamera();
+    if (!this.active || !this.selection.size || !mesh || !cam) {
+      this._overlay.hide();
+      return;
+    }
+
+    const ctx = this._overlay.begin(canvas);
+    const vAr = mesh.getVertices();
+    const faces = mesh.getFaces();
+    const m = mesh.getMatrix();
+    const nbFaces = mesh.getNbFaces();
+    // cam.project da pixels físicos: la capa dibuja en pixels CSS; null detrás de la cámara
+    const pr = window.devicePixelRatio || 1.0;
+    const project = (v) => {
+      const x = vAr[v * 3], y = vAr[v * 3 + 1], z = vAr[v * 3 + 2];
+      const sp = cam.project([
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14],
+      ]);
+      return sp[2] >= 0 && sp[2] <= 1 ? [sp[0] / pr, sp[1] / pr] : null;
+    };
+
+    ctx.beginPath();
+    this.selection.forEach(f => {
+      if (f >= nbFaces) return;
+      const n = isTri(faces[f * 4 + 3]) ? 3 : 4;
+      const pts = [];
+      for (let k = 0; k < n; k++) pts.push(project(faces[f * 4 + k]));
+      if (pts.some(p => !p)) return;
+
+      // Área con signo (y hacia abajo): negativa si la cara mira a la cámara
+      let area = 0;
+      for (let k = 0; k < n; k++) {
+        const a = pts[k], b = pts[(k + 1) % n];
+        area += a[0] * b[1] - b[0] * a[1];
+      }
+      if (area >= 0) return;
+
+      ctx.moveTo(pts[0][0], pts[0][1]);
+      for (let k = 1; k < n; k++) ctx.lineTo(pts[k][0], pts[k][1]);
+      ctx.closePath();
+    });
+    ctx.fillStyle = OVERLAY_FILL;
+    ctx.fill();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = OVERLAY_LINE;
+    ctx.stroke();
+  }
+
+  // =================================================================
+  // 6. AJUSTES (archivo compartido con los demás plugins)
+  // =================================================================
+  // El difuminado se aplica al volcar la selección en la máscara
+  setFeather(changes) {
+    this._applySettings({ feather: Object.assign({}, this.feather, changes) });
+    this._saveSettings();
+  }
+
+  _applySettings(s) {
+    if (!s || typeof s !== 'object') return;
+    if (typeof s.active === 'boolean') this.active = s.active;
+
+    const b = s.brush;
+    if (b && typeof b === 'object') {
+      if (typeof b.enabled === 'boolean') this.brush.enabled = b.enabled;
+      if (b.radius > 0) this.brush.radius = b.radius;
+    }
+    if (s.maskThreshold >= 0 && s.maskThreshold <= 1) this.maskThreshold = s.maskThreshold;
+
+    const f = s.feather;
+    if (!f || typeof f !== 'object') return;
+    if (FEATHER_MODES.includes(f.mode)) this.feather.mode = f.mode;
+    if (f.distance > 0) this.feather.distance = f.distance;
+    if (f.rings >= 1) this.feather.rings = Math.round(f.rings);
+    if (FEATHER_CURVES.includes(f.curve)) this.feather.curve = f.curve;
+  }
+
+  _saveSettings() {
+    writeStorage(SETTINGS_KEY, this._settings());
+  }
+
+  _settings() {
+    return {
+      active: this.active,
+      brush: Object.assign({}, this.brush),
+      feather: Object.assign({}, this.feather),
+      maskThreshold: this.maskThreshold,
+    };
+  }
+
+  _onSettingsExport(event) {
+    event.detail[SETTINGS_SECTION] = this._settings();
+  }
+
+  _onSettingsImport(event) {
+    const s = event.detail[SETTINGS_SECTION];
+    if (!s) return;
+    this._applySettings(s);
+    this.setActive(this.active);
+  }
+}
+
+const FEATHER_MODES = ['none', 'distance', 'rings'];
+const MASK_OPS = ['replace', 'add', 'subtract', 'intersect'];
+const FROM_MASK_OPS = ['replace', 'add', 'intersect'];
+
+// Capa de selección
+const OVERLAY_FILL = 'rgba(255, 60, 60, 0.3)';
+const OVERLAY_LINE = 'rgba(255, 90, 90, 0.95)';
+
+// Gestos táctiles
+const LONG_PRESS_MS = 500;
+const TWO_FINGER_TAP_MS = 250;
+const TAP_SLOP = 10;       // px que puede moverse un dedo y seguir siendo un toque
+const HISTORY_SIZE = 50;
+const MIN_PRESSURE = 0.2;  // radio mínimo del pincel con el lápiz apenas apoyado
+const FEATHER_CURVES = ['linear', 'smooth', 'sharp'];
+
+// Máscara de escultura de los vértices ids (paso de deshacer: MaskState)
+function writeMask(mesh, ids, values) {
+  const mask = mesh.getMaskArray();
+  ids.forEach((v, i) => { mask[v] = values[i]; });
+
+  // Avisar al motor para que suba los buffers (lo que hace 'mask.js')
+  if (mesh.updateGeometry) mesh.updateGeometry();
+  else if (mesh.updateBuffers) mesh.updateBuffers();
+  if (mesh.setShowMask) mesh.setShowMask(true);
 }
+
+// Preferencias en localStorage y sección en el archivo de ajustes común (pluginSettings.js)
+const SETTINGS_KEY = 'polymode.settings';
+const SETTINGS_SECTION = 'polymode';
@@ -1,95 +1,703 @@
 // ComponentSelectionPlugin.js
 // Plugin for SculptGL modular plugins system
-// Adds component selection (faces/edges/vertices) and converts selection to SculptGL mask.
+// Adds component selection (faces/edges/vertices), drawn as an overlay, and converts it to the SculptGL mask on demand.
 //
 // Usage (default shortcuts when plugin is Active):
-//  - 1 / 2 / 3 : Vertex / Edge / Face mode
-//  - Click      : Select under cursor (Shift=add, Ctrl/Cmd=subtract, Alt=toggle)
-//  - Alt + Drag : Box select (Shift add, Ctrl/Cmd subtract)
+//  - 1 / 2 / 3 : Vertex / Edge / Face mode; the selection is converted (going up keeps the
+//                 enclosed components, or every touched one with "Convert Up: Touching")
+//  - Shift + 1 / 2 / 3 : add / remove a mode, to select e.g. vertices and edges together
+//  - Click      : Toggle under cursor (Shift=add, Ctrl/Cmd+Shift=subtract)
+//  - Ctrl/Cmd + Click : shortest path from the last picked component (edge length or
+//                 topological, see "Path" menu), or subtract when there is no component to
+//                 start from; closing a path back on its first component fills the smaller
+//                 enclosed side with "Path: Fill Closed"
+//  - Alt + Drag : Box / Lasso select (Shift add, Ctrl/Cmd subtract), see "Region" menu
+//  - Region select only takes visible components (back faces and occluded ones are
+//    skipped) unless X-Ray is on
+//  - Alt + Click: Polygon select: click to add points, click the first point, double-click,
+//                 Enter or right-click to close, Backspace to remove a point, Esc to cancel
+//  - Alt + Click (Box / Lasso tools): edge loop through the nearest edge, face loop in Face
+//                 mode; Ctrl/Cmd+Alt+Click: edge ring; Shift adds. Loops stop at poles,
+//                 triangles and borders, rings at triangles and borders
 //  - Ctrl/Cmd+L : Select linked (connected)
 //  - Ctrl/Cmd+Plus / Ctrl/Cmd+Minus : Grow / Shrink selection
-//  - Esc        : Exit selection mode (restores previous mask snapshot)
+//  - Esc        : Exit selection mode
+//  - Touch      : tap = pick, long-press = subtract, two-finger tap = undo selection;
+//                 on-screen Add / Sub / region toggles replace the keyboard modifiers
+//  - Pen        : acts like the mouse; the eraser end subtracts. Pressure is not used: picks,
+//                 box, lasso and polygon have no size to scale (PolyMode's brush radius does)
+//  - Selection → Mask: Replace / Add / Subtract / Intersect the sculpt mask with the selection,
+//                 optionally feathered (distance or rings); undoable with Ctrl+Z
+//  - Mask → Selection: Replace / Add / Intersect the selection with the vertices whose mask is
+//                 at or above "Mask Threshold" (0.5 by default), converted to each enabled mode
 //
 // Notes:
-//  - This plugin uses the SculptGL per-vertex mask channel (materialsPBR[vert*3+2]) ONLY for visualization.
-//    When activated, it snapshots the current mask and restores it when deactivated unless you "Commit Mask".
+//  - The selection is drawn on its own 2D canvas over the viewport (tinted faces, edge lines,
+//    vertex dots), redrawn after every SculptGL render. The sculpt mask (materialsPBR[vert*3+2])
+//    is only written by "Selection → Mask".
+//  - Edge topology lives in integer typed arrays (built in a Web Worker for large meshes) and region
+//    select is culled with a uniform grid, so multi-million face sculpts stay usable. Select > Benchmark
+//    shows the build and box select timings for the current mesh (bench/regionSelect.mjs runs the
+//    same timings in Node on a synthetic sphere).
 
 import { vec3, mat4 } from 'gl-matrix';
+import {
+  SETTINGS_EXPORT_EVENT, SETTINGS_IMPORT_EVENT, readStorage, writeStorage, addSettingsMenu,
+} from './pluginSettings.js';
+import {
+  featherWeights, MaskState, hookRender, ViewportOverlay, isTri, isTextField,
+} from './selectionCommon.js';
 
 function clamp01(v) { return v < 0 ? 0 : (v > 1 ? 1 : v); }
-function edgeKey(a, b) { return a < b ? (a + '_' + b) : (b + '_' + a); }
+
+// world position of the camera eye
+function cameraPosition(cam) {
+  if (cam.computePosition) return cam.computePosition();
+  const view = cam.getView && cam.getView();
+  if (!view) return null;
+  const inv = mat4.invert(mat4.create(), view);
+  return inv ? [inv[12], inv[13], inv[14]] : null;
+}
+
+// even-odd rule; pts: [[x, y], ...] in client px
+function pointInPolygon(x, y, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const xi = pts[i][0], yi = pts[i][1];
+    const xj = pts[j][0], yj = pts[j][1];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// sculpt mask of the vertices ids, in the materials (channel 2); see MaskState
+function writeMaterialMask(mesh, ids, values) {
+  const mAr = mesh.getMaterials();
+  ids.forEach((v, i) => { mAr[v * 3 + 2] = values[i]; });
+  if (mesh.updateMaterials) mesh.updateMaterials();
+}
+
+// ===== Topology and spatial caches =====
+// Everything is integer indexed in typed arrays so million-face meshes stay cheap:
+// an edge is an id into edgeVerts / edgeFaces, never a string key.
+
+const WORKER_MIN_FACES = 200000; // smaller meshes build synchronously
+const GRID_ITEMS_PER_CELL = 32;
+const GRID_MAX_DIM = 32;
+const DEPTH_MAX_SAMPLES = 1 << 20; // region select depth buffer, downsampled past this
+
+// Edge topology from the 4-per-face index buffer (see isTri) and SculptGL's vertex
+// ring (CSR). Runs in a Web Worker, so it only calls isTri besides its arguments.
+//  - loStart   Uint32Array(nbVerts + 1): edges whose lowest vertex is v are [loStart[v], loStart[v + 1])
+//  - edgeVerts Uint32Array(nbEdges * 2): a < b
+//  - edgeFaces Int32Array(nbEdges * 2): two faces per edge, -1 on borders (extra faces of
+//    non-manifold edges are ignored)
+//  - faceEdges Int32Array(nbFaces * 4): -1 for the missing 4th side of triangles
+//  - vertEdges Int32Array, aligned with the vertex ring: edge to ring[start + i]
+function buildTopology(faces, nbFaces, nbVerts, ringStartCount, ring) {
+  const loStart = new Uint32Array(nbVerts + 1);
+  for (let v = 0; v < nbVerts; v++) {
+    const start = ringStartCount[v * 2];
+    const count = ringStartCount[v * 2 + 1];
+    let n = 0;
+    for (let i = 0; i < count; i++) if (ring[start + i] > v) n++;
+    loStart[v + 1] = loStart[v] + n;
+  }
+
+  const nbEdges = loStart[nbVerts];
+  const edgeVerts = new Uint32Array(nbEdges * 2);
+  for (let v = 0, id = 0; v < nbVerts; v++) {
+    const start = ringStartCount[v * 2];
+    const count = ringStartCount[v * 2 + 1];
+    for (let i = 0; i < count; i++) {
+      const nv = ring[start + i];
+      if (nv <= v) continue;
+      edgeVerts[id * 2] = v;
+      edgeVerts[id * 2 + 1] = nv;
+      id++;
+    }
+  }
+
+  const edgeId = (a, b) => {
+    const lo = a < b ? a : b;
+    const hi = a < b ? b : a;
+    for (let e = loStart[lo], end = loStart[lo + 1]; e < end; e++) {
+      if (edgeVerts[e * 2 + 1] === hi) return e;
+    }
+    return -1;
+  };
+
+  const vertEdges = new Int32Array(ring.length);
+  for (let v = 0; v < nbVerts; v++) {
+    const start = ringStartCount[v * 2];
+    const count = ringStartCount[v * 2 + 1];
+    for (let i = 0; i < count; i++) vertEdges[start + i] = edgeId(v, ring[start + i]);
+  }
+
+  const faceEdges = new Int32Array(nbFaces * 4).fill(-1);
+  const edgeFaces = new Int32Array(nbEdges * 2).fill(-1);
+  for (let f = 0; f < nbFaces; f++) {
+    const base = f * 4;
+    const n = isTri(faces[base + 3]) ? 3 : 4;
+    for (let k = 0; k < n; k++) {
+      const e = edgeId(faces[base + k], faces[base + (k + 1) % n]);
+      faceEdges[base + k] = e;
+      if (e < 0) continue;
+      if (edgeFaces[e * 2] < 0) edgeFaces[e * 2] = f;
+      else if (edgeFaces[e * 2 + 1] < 0) edgeFaces[e * 2 + 1] = f;
+    }
+  }
+
+  return { nbEdges, loStart, edgeVerts, edgeFaces, faceEdges, vertEdges };
+}
+
+function findEdge(topo, a, b) {
+  const lo = a < b ? a : b;
+  const hi = a < b ? b : a;
+  for (let e = topo.loStart[lo], end = topo.loStart[lo + 1]; e < end; e++) {
+    if (topo.edgeVerts[e * 2 + 1] === hi) return e;
+  }
+  return -1;
+}
+
+// Runs a function in a throwaway Web Worker, with the module functions it calls
+// (`helpers`) declared again there. Buffers listed in `transfer` are moved to it,
+// typed arrays of the returned object moved back.
+function runInWorker(fn, args, transfer = [], helpers = []) {
+  return new Promise((resolve, reject) => {
+    const src = `${helpers.map((h) => h.toString()).join('\n')}
+const fn = ${fn.toString()};
+self.onmessage = (e) => {
+  const out = fn.apply(null, e.data);
+  self.postMessage(out, Object.values(out).filter((v) => ArrayBuffer.isView(v)).map((v) => v.buffer));
+};`;
+    const url = URL.createObjectURL(new Blob([src], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    const done = () => { worker.terminate(); URL.revokeObjectURL(url); };
+    worker.onmessage = (e) => { done(); resolve(e.data); };
+    worker.onerror = (e) => { done(); reject(e); };
+    worker.postMessage(args, transfer);
+  });
+}
+
+// Uniform grid over `count` points (xyz triplets in mesh local space) to cull region
+// queries: the items of cell c are items[cellStart[c] .. cellStart[c + 1]).
+function buildGrid(pos, count) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < 3; k++) {
+      const x = pos[i * 3 + k];
+      if (x < min[k]) min[k] = x;
+      if (x > max[k]) max[k] = x;
+    }
+  }
+
+  const dim = Math.max(1, Math.min(GRID_MAX_DIM, Math.round(Math.cbrt(count / GRID_ITEMS_PER_CELL))));
+  const size = [0, 1, 2].map((k) => (max[k] - min[k]) / dim || 1);
+  const cellOf = new Uint32Array(count);
+  const cellStart = new Uint32Array(dim * dim * dim + 1);
+  for (let i = 0; i < count; i++) {
+    let c = 0;
+    for (let k = 2; k >= 0; k--) {
+      const ic = Math.min(dim - 1, Math.floor((pos[i * 3 + k] - min[k]) / size[k]));
+      c = c * dim + ic;
+    }
+    cellOf[i] = c;
+    cellStart[c + 1]++;
+  }
+  for (let c = 0; c < dim * dim * dim; c++) cellStart[c + 1] += cellStart[c];
+
+  const fill = cellStart.slice(0, -1);
+  const items = new Uint32Array(count);
+  for (let i = 0; i < count; i++) items[fill[cellOf[i]]++] = i;
+
+  return { dim, min, size, cellStart, items, pos };
+}
+
+// Canvas projection (x, y, depth) of the (dim + 1)^3 lattice points bounding the grid cells.
+function projectLattice(grid, mMat, cam) {
+  const n = grid.dim + 1;
+  const out = new Float32Array(n * n * n * 3);
+  const p = vec3.create();
+  for (let l = 0; l < n * n * n; l++) {
+    vec3.set(p,
+      grid.min[0] + (l % n) * grid.size[0],
+      grid.min[1] + (Math.floor(l / n) % n) * grid.size[1],
+      grid.min[2] + Math.floor(l / (n * n)) * grid.size[2]);
+    vec3.transformMat4(p, p, mMat);
+    const sp = cam.project(p);
+    out[l * 3] = sp[0];
+    out[l * 3 + 1] = sp[1];
+    out[l * 3 + 2] = sp[2];
+  }
+  return out;
+}
+
+// Trilinear interpolation of the projected corners of grid cell (ix, iy, iz) at cell
+// coordinates u, v, w in [0, 1]: close to cam.project for the items of a small cell.
+function cellProjector(lattice, n, ix, iy, iz) {
+  const c = new Float64Array(24);
+  for (let k = 0; k < 8; k++) {
+    const l = ((iz + (k >> 2)) * n + iy + ((k >> 1) & 1)) * n + ix + (k & 1);
+    c[k * 3] = lattice[l * 3];
+    c[k * 3 + 1] = lattice[l * 3 + 1];
+    c[k * 3 + 2] = lattice[l * 3 + 2];
+  }
+  return (u, v, w, out) => {
+    for (let a = 0; a < 3; a++) {
+      const x00 = c[a] + (c[3 + a] - c[a]) * u;
+      const x10 = c[6 + a] + (c[9 + a] - c[6 + a]) * u;
+      const x01 = c[12 + a] + (c[15 + a] - c[12 + a]) * u;
+      const x11 = c[18 + a] + (c[21 + a] - c[18 + a]) * u;
+      const y0 = x00 + (x10 - x00) * v;
+      const y1 = x01 + (x11 - x01) * v;
+      out[a] = y0 + (y1 - y0) * w;
+    }
+    return out;
+  };
+}
+
+// Software depth buffer over a canvas px rect, for the occlusion test of region select.
+// Samples are `step` px apart (at most DEPTH_MAX_SAMPLES of them) and hold the nearest
+// cam.project depth, Infinity where nothing was drawn.
+function createDepthBuffer(minX, minY, maxX, maxY) {
+  const area = (maxX - minX + 1) * (maxY - minY + 1);
+  const step = Math.max(1, Math.ceil(Math.sqrt(area / DEPTH_MAX_SAMPLES)));
+  const w = Math.floor((maxX - minX) / step) + 1;
+  const h = Math.floor((maxY - minY) / step) + 1;
+  return { x0: minX, y0: minY, step, w, h, data: new Float32Array(w * h).fill(Infinity) };
+}
+
+// depth of the nearest sample to a canvas px position, Infinity outside the buffer
+function depthAt(buf, x, y) {
+  const i = Math.round((x - buf.x0) / buf.step);
+  const j = Math.round((y - buf.y0) / buf.step);
+  if (i < 0 || j < 0 || i >= buf.w || j >= buf.h) return Infinity;
+  return buf.data[j * buf.w + i];
+}
+
+// Returns draw(f), which rasterizes face f of the mesh (two triangles for a quad) into
+// the buffer. Vertices are projected once, on first use.
+function meshRasterizer(buf, mesh, cam) {
+  const fAr = mesh.getFaces();
+  const vAr = mesh.getVertices();
+  const mMat = mesh.getMatrix();
+  const proj = new Float32Array(mesh.getNbVertices() * 3).fill(NaN);
+  const p = vec3.create();
+  const data = buf.data;
+  const s = buf.step;
+
+  // sample space x, y and depth of vertex v
+  const project = (v) => {
+    if (proj[v * 3] !== proj[v * 3]) { // NaN: not projected yet
+      vec3.transformMat4(p, vec3.set(p, vAr[v * 3], vAr[v * 3 + 1], vAr[v * 3 + 2]), mMat);
+      const sp = cam.project(p);
+      proj[v * 3] = (sp[0] - buf.x0) / s;
+      proj[v * 3 + 1] = (sp[1] - buf.y0) / s;
+      proj[v * 3 + 2] = sp[2];
+    }
+    return v * 3;
+  };
+
+  const triangle = (a, b, c) => {
+    const ax = proj[a], ay = proj[a + 1], az = proj[a + 2];
+    const bx = proj[b], by = proj[b + 1], bz = proj[b + 2];
+    const cx = proj[c], cy = proj[c + 1], cz = proj[c + 2];
+    // crossing the near / far planes: skipped rather than clipped
+    if (!(az >= 0 && az <= 1 && bz >= 0 && bz <= 1 && cz >= 0 && cz <= 1)) return;
+    const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    if (!area) return;
+    const i0 = Math.max(0, Math.ceil(Math.min(ax, bx, cx)));
+    const i1 = Math.min(buf.w - 1, Math.floor(Math.max(ax, bx, cx)));
+    const j0 = Math.max(0, Math.ceil(Math.min(ay, by, cy)));
+    const j1 = Math.min(buf.h - 1, Math.floor(Math.max(ay, by, cy)));
+    const inv = 1 / area;
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) {
+        // barycentric weights; the small tolerance keeps shared edges crack free
+        const wa = ((bx - i) * (cy - j) - (by - j) * (cx - i)) * inv;
+        const wb = ((cx - i) * (ay - j) - (cy - j) * (ax - i)) * inv;
+        const wc = 1 - wa - wb;
+        if (wa < -1e-6 || wb < -1e-6 || wc < -1e-6) continue;
+        const z = wa * az + wb * bz + wc * cz;
+        const k = j * buf.w + i;
+        if (z < data[k]) data[k] = z;
+      }
+    }
+  };
+
+  return (f) => {
+    const a = project(fAr[f * 4]);
+    const b = project(fAr[f * 4 + 1]);
+    const c = project(fAr[f * 4 + 2]);
+    triangle(a, b, c);
+    const d = fAr[f * 4 + 3];
+    if (!isTri(d)) triangle(a, c, project(d));
+  };
+}
+
+// faces sharing an edge with f (the first two faces of each edge)
+function adjacentFaces(topo, f) {
+  const out = [];
+  for (let k = 0; k < 4; k++) {
+    const e = topo.faceEdges[f * 4 + k];
+    if (e < 0) continue;
+    const f0 = topo.edgeFaces[e * 2];
+    const nf = f0 === f ? topo.edgeFaces[e * 2 + 1] : f0;
+    if (nf >= 0) out.push(nf);
+  }
+  return out;
+}
+
+function isQuad(faces, f) {
+  return !isTri(faces[f * 4 + 3]);
+}
+
+// Edge continuing the loop of e through its vertex v: at a regular vertex (4 edges,
+// each between two quads) the one sharing no face with e. -1 at poles, borders and
+// triangles, where the loop stops.
+function loopNext(topo, faces, ringStartCount, e, v) {
+  const start = ringStartCount[v * 2];
+  if (ringStartCount[v * 2 + 1] !== 4) return -1;
+  const f0 = topo.edgeFaces[e * 2];
+  const f1 = topo.edgeFaces[e * 2 + 1];
+  let next = -1;
+  for (let i = 0; i < 4; i++) {
+    const ne = topo.vertEdges[start + i];
+    if (ne < 0) return -1;
+    const a = topo.edgeFaces[ne * 2];
+    const b = topo.edgeFaces[ne * 2 + 1];
+    if (a < 0 || b < 0 || !isQuad(faces, a) || !isQuad(faces, b)) return -1;
+    if (a === f0 || a === f1 || b === f0 || b === f1) continue;
+    if (next >= 0) return -1;
+    next = ne;
+  }
+  return next;
+}
+
+// edge ids of the loop through e, walked both ways from e (once when it's closed)
+function edgeLoop(topo, faces, ringStartCount, e) {
+  const edgeVerts = topo.edgeVerts;
+  const edges = [e];
+  const seen = new Set(edges);
+  for (let side = 0; side < 2; side++) {
+    let cur = e;
+    let v = edgeVerts[e * 2 + side];
+    for (;;) {
+      const next = loopNext(topo, faces, ringStartCount, cur, v);
+      if (next < 0 || seen.has(next)) break;
+      seen.add(next);
+      edges.push(next);
+      v = edgeVerts[next * 2] === v ? edgeVerts[next * 2 + 1] : edgeVerts[next * 2];
+      cur = next;
+    }
+  }
+  return edges;
+}
+
+// Edge ring through e: across each quad to its opposite side, both ways, stopping
+// at borders and triangles. faces are the quads crossed, i.e. the face loop.
+function edgeRing(topo, faces, e) {
+  const { edgeFaces, faceEdges } = topo;
+  const edges = [e];
+  const ringFaces = [];
+  const seen = new Set(edges);
+  const seenFaces = new Set();
+  for (let side = 0; side < 2; side++) {
+    let cur = e;
+    let f = edgeFaces[e * 2 + side];
+    while (f >= 0 && !seenFaces.has(f) && isQuad(faces, f)) {
+      seenFaces.add(f);
+      ringFaces.push(f);
+      let k = 0;
+      while (k < 4 && faceEdges[f * 4 + k] !== cur) k++;
+      const next = k < 4 ? faceEdges[f * 4 + (k + 2) % 4] : -1;
+      if (next < 0 || seen.has(next)) break;
+      seen.add(next);
+      edges.push(next);
+      f = edgeFaces[next * 2] === f ? edgeFaces[next * 2 + 1] : edgeFaces[next * 2];
+      cur = next;
+    }
+  }
+  return { edges, faces: ringFaces };
+}
+
+function pointDistance2(posA, a, posB, b) {
+  const dx = posA[a * 3] - posB[b * 3];
+  const dy = posA[a * 3 + 1] - posB[b * 3 + 1];
+  const dz = posA[a * 3 + 2] - posB[b * 3 + 2];
+  return dx * dx + dy * dy + dz * dz;
+}
+
+function pointDistance(pos, a, b) {
+  return Math.sqrt(pointDistance2(pos, a, pos, b));
+}
+
+// Dijkstra from `sources` to the first node with isTarget(node); neighbors(node, visit)
+// calls visit(next, weight) for each neighbour. Distances live in a Map so a short path
+// on a huge mesh only touches the nodes around it. Returns the nodes from a source to
+// the target, or null when none is reachable.
+function shortestPath(sources, isTarget, neighbors) {
+  const dist = new Map();
+  const prev = new Map();
+  const heap = []; // binary min-heap of [distance, node]
+  const push = (item) => {
+    let i = heap.push(item) - 1;
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (heap[p][0] <= item[0]) break;
+      heap[i] = heap[p];
+      i = p;
+    }
+    heap[i] = item;
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        if (l >= heap.length) break;
+        const c = l + 1 < heap.length && heap[l + 1][0] < heap[l][0] ? l + 1 : l;
+        if (heap[c][0] >= last[0]) break;
+        heap[i] = heap[c];
+        i = c;
+      }
+      heap[i] = last;
+    }
+    return top;
+  };
+
+  for (const s of sources) {
+    dist.set(s, 0);
+    push([0, s]);
+  }
+  while (heap.length) {
+    const [d, node] = pop();
+    if (d > dist.get(node)) continue;
+    if (isTarget(node)) {
+      const path = [node];
+      for (let n = prev.get(node); n !== undefined; n = prev.get(n)) path.push(n);
+      return path.reverse();
+    }
+    neighbors(node, (next, w) => {
+      const nd = d + w;
+      const old = dist.get(next);
+      if (old !== undefined && nd >= old) return;
+      dist.set(next, nd);
+      prev.set(next, node);
+      push([nd, next]);
+    });
+  }
+  return null;
+}
+
+// ===== Settings persistence =====
+// localStorage key and section of the shared settings file (see pluginSettings.js)
+
+const SETTINGS_KEY = 'componentSelection.settings';
+const SETTINGS_SECTION = 'componentSelection';
+const MODES = ['VERTEX', 'EDGE', 'FACE'];
+const CONVERT_RULES = ['ENCLOSED', 'TOUCHING'];
+// multi-mode picking: a vertex / edge wins when the hit is this close to it, relative
+// to the radius of the picked face
+const PICK_VERTEX_RATIO = 0.3;
+const PICK_EDGE_RATIO = 0.2;
+const REGION_TOOLS = { BOX: 'Box', LASSO: 'Lasso', POLYGON: 'Poly' }; // tool -> toggle label
+const FEATHER_MODES = ['NONE', 'DISTANCE', 'RINGS'];
+const FEATHER_CURVES = ['LINEAR', 'SMOOTH', 'SHARP'];
+
+// touch gestures
+const LONG_PRESS_MS = 500;
+const TWO_FINGER_TAP_MS = 250;
+const TAP_SLOP = 10; // px a finger may drift and still count as a tap
+const HISTORY_SIZE = 50;
+const TOUCH_EVENTS = ['touchstart', 'touchmove', 'touchend', 'touchcancel'];
+
+// lasso / polygon
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const LASSO_STEP = 3; // px between recorded lasso points
+const CLOSE_RADIUS = 10; // px around the first polygon point that closes it
+const DOUBLE_CLICK_MS = 300;
+
+// selection overlay
+const OVERLAY_FILL = 'rgba(255, 140, 0, 0.3)';
+const OVERLAY_LINE = 'rgba(255, 170, 40, 0.95)';
+const OVERLAY_POINT = 'rgba(255, 200, 60, 1)';
+const MASK_OPS = ['REPLACE', 'ADD', 'SUBTRACT', 'INTERSECT'];
+const FROM_MASK_OPS = ['REPLACE', 'ADD', 'INTERSECT'];
+const PATH_METRICS = ['LENGTH', 'TOPOLOGY'];
 
 export default class ComponentSelectionPlugin {
   constructor(api) {
     this.api = api;
     this._active = false;
-    this._mode = 'FACE'; // VERTEX | EDGE | FACE
+    this._mode = 'FACE'; // VERTEX | EDGE | FACE, the last mode picked
+    this._modes = new Set(['FACE']); // enabled modes (several with Shift+1/2/3)
+    this._convertUp = 'ENCLOSED'; // ENCLOSED | TOUCHING, faces / edges kept when converting up
 
     // selection sets
     this._selVerts = new Set();
     this._selFaces = new Set();
-    this._selEdges = new Set(); // key "a_b"
+    this._selEdges = new Set(); // edge ids into this._topo
+    this._revision = 0; // see getRevision
 
     // caches (per mesh)
     this._cacheMesh = null;
     this._faces = null; // Uint32Array
     this._nbFaces = 0;
     this._nbVerts = 0;
-    this._edgeToFaces = null; // Map key -> int[] faces
-    this._edgeToVerts = null; // Map key -> [a,b]
-    this._faceEdges = null; // Array of edge keys per face (computed)
+    this._topo = null; // see buildTopology, null while a worker is building it
+    this._topoQueue = []; // operations waiting for the topology
+    this._grids = {}; // spatial grids for region select, per mode, built lazily
+
+    // selection overlay (2D canvas over the viewport)
+    this._overlay = new ViewportOverlay();
+    this._renderHooked = false;
+
+    // feathered commit: soft 0..1 border outside the selection
+    this._featherMode = 'NONE'; // NONE | DISTANCE | RINGS
+    this._featherDistance = 0.1; // world units
+    this._featherRings = 2;
+    this._featherCurve = 'SMOOTH'; // LINEAR | SMOOTH | SHARP
+
+    // mask -> selection: vertices with a mask value >= threshold
+    this._maskThreshold = 0.5;
 
-    // mask snapshot for safe restore
-    this._maskSnapshot = null;
+    // Ctrl+Click shortest path
+    this._pathMetric = 'LENGTH'; // LENGTH | TOPOLOGY
+    this._pathFill = false; // fill the enclosed side when a path closes
+    this._lastPick = null; // { mode, id }, where the next path starts
+    this._pathStart = null; // { mode, id }, first component of the current chain of paths
 
     // DOM overlay for box selection
     this._boxDiv = null;
-    this._boxStart = null;
+    this._boxStart = null; // { x, y, op, id } while dragging
+    this._loopClick = null; // { x, y, id, ring, op } until an Alt+press turns into a drag
+
+    // lasso / polygon selection (outline drawn in an SVG overlay)
+    this._regionTool = 'BOX'; // BOX | LASSO | POLYGON, used by Alt+Drag / Alt+Click
+    this._lasso = null; // { points, op, id, polygon, cursor, t } while drawing
+    this._lassoSvg = null;
+    this._swallowContextMenu = false; // the right click that closed a polygon
+    this._xray = false; // region select through the mesh (ignores occlusion)
+
+    // touch / pen input
+    this._touchMods = { add: false, sub: false, region: false }; // on-screen modifier toggles
+    this._modBar = null;
+    this._touches = new Map(); // pointerId -> start { x, y } of fingers on the canvas
+    this._touchPick = null; // pending tap / long-press { id, x, y, timer }
+    this._touchOwned = false; // swallow SculptGL's touch events for the current gesture
+    this._twoFingerTap = null; // { t, moved } while two fingers are down
+
+    // status line over the viewport (benchmark results, background failures)
+    this._statusDiv = null;
+    this._statusTimer = 0;
+
+    // selection undo (snapshots taken before each change)
+    this._history = [];
 
     // bound handlers
-    this._onMouseDown = this._onMouseDown.bind(this);
-    this._onMouseMove = this._onMouseMove.bind(this);
-    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._onTouchCapture = this._onTouchCapture.bind(this);
     this._onKeyDown = this._onKeyDown.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
+    this._onSettingsExport = this._onSettingsExport.bind(this);
+    this._onSettingsImport = this._onSettingsImport.bind(this);
+
+    // restore preferences from the previous session
+    this.applySettings(readStorage(SETTINGS_KEY, null));
   }
 
   // ===== Plugin lifecycle =====
 
   init() {
+    // expose the selection to other plugins (Gizmo+ pivots/transforms)
+    this.api.componentSelection = this;
+
     // UI actions (topbar)
     this.api.addGuiAction('Select', 'Toggle Selection Mode', () => this.toggle());
     this.api.addGuiAction('Select', 'Mode: Vertex (1)', () => this.setMode('VERTEX'));
     this.api.addGuiAction('Select', 'Mode: Edge (2)', () => this.setMode('EDGE'));
     this.api.addGuiAction('Select', 'Mode: Face (3)', () => this.setMode('FACE'));
+    this.api.addGuiAction('Select', 'Mode: +/- Vertex (Shift+1)', () => this.toggleMode('VERTEX'));
+    this.api.addGuiAction('Select', 'Mode: +/- Edge (Shift+2)', () => this.toggleMode('EDGE'));
+    this.api.addGuiAction('Select', 'Mode: +/- Face (Shift+3)', () => this.toggleMode('FACE'));
+    this.api.addGuiAction('Select', 'Convert Up: Enclosed', () => this.setConvertUp('ENCLOSED'));
+    this.api.addGuiAction('Select', 'Convert Up: Touching', () => this.setConvertUp('TOUCHING'));
     this.api.addGuiAction('Select', 'Select Linked (Ctrl+L)', () => this.selectLinked());
     this.api.addGuiAction('Select', 'Grow (Ctrl+Plus)', () => this.grow());
     this.api.addGuiAction('Select', 'Shrink (Ctrl+Minus)', () => this.shrink());
+    this.api.addGuiAction('Select', 'Edge Loops (Alt+Click)', () => this.selectLoops(false));
+    this.api.addGuiAction('Select', 'Edge Rings (Ctrl+Alt+Click)', () => this.selectLoops(true));
+    this.api.addGuiAction('Select', 'Path: Edge Length (Ctrl+Click)', () => this.setPathMetric('LENGTH'));
+    this.api.addGuiAction('Select', 'Path: Topological (Ctrl+Click)', () => this.setPathMetric('TOPOLOGY'));
+    this.api.addGuiAction('Select', 'Path: Fill Closed On/Off', () => this.togglePathFill());
+    this.api.addGuiAction('Select', 'Region: Box (Alt+Drag)', () => this.setRegionTool('BOX'));
+    this.api.addGuiAction('Select', 'Region: Lasso (Alt+Drag)', () => this.setRegionTool('LASSO'));
+    this.api.addGuiAction('Select', 'Region: Polygon (Alt+Click)', () => this.setRegionTool('POLYGON'));
+    this.api.addGuiAction('Select', 'X-Ray: On/Off', () => this.toggleXray());
     this.api.addGuiAction('Select', 'Clear Selection', () => this.clearSelection());
-    this.api.addGuiAction('Select', 'Commit Mask', () => this.commitMask());
-    this.api.addGuiAction('Select', 'Restore Previous Mask', () => this.restoreSnapshot());
+    this.api.addGuiAction('Select', 'Undo Selection (2-finger tap)', () => this.undoSelection());
+    this.api.addGuiAction('Select', 'Selection → Mask: Replace', () => this.selectionToMask('REPLACE'));
+    this.api.addGuiAction('Select', 'Selection → Mask: Add', () => this.selectionToMask('ADD'));
+    this.api.addGuiAction('Select', 'Selection → Mask: Subtract', () => this.selectionToMask('SUBTRACT'));
+    this.api.addGuiAction('Select', 'Selection → Mask: Intersect', () => this.selectionToMask('INTERSECT'));
+    this.api.addGuiAction('Select', 'Mask → Selection: Replace', () => this.maskToSelection('REPLACE'));
+    this.api.addGuiAction('Select', 'Mask → Selection: Add', () => this.maskToSelection('ADD'));
+    this.api.addGuiAction('Select', 'Mask → Selection: Intersect', () => this.maskToSelection('INTERSECT'));
+    this.api.addGuiAction('Select', 'Mask Threshold…', () => this.promptMaskThreshold());
+    this.api.addGuiAction('Select', 'Feather: Off', () => this.setFeather('NONE'));
+    this.api.addGuiAction('Select', 'Feather: Distance…', () => this.promptFeatherDistance());
+    this.api.addGuiAction('Select', 'Feather: Rings…', () => this.promptFeatherRings());
+    this.api.addGuiAction('Select', 'Feather Curve: Linear', () => this.setFeatherCurve('LINEAR'));
+    this.api.addGuiAction('Select', 'Feather Curve: Smooth', () => this.setFeatherCurve('SMOOTH'));
+    this.api.addGuiAction('Select', 'Feather Curve: Sharp', () => this.setFeatherCurve('SHARP'));
+    this.api.addGuiAction('Select', 'Benchmark', () => this.benchmark());
+    addSettingsMenu(this.api);
 
     // Listen always (lightweight), but only act when active
     const canvas = this.api.getCanvas && this.api.getCanvas();
     if (canvas) {
-      canvas.addEventListener('mousedown', this._onMouseDown, true);
-      window.addEventListener('mousemove', this._onMouseMove, true);
-      window.addEventListener('mouseup', this._onMouseUp, true);
+      canvas.addEventListener('pointerdown', this._onPointerDown, true);
+      window.addEventListener('pointermove', this._onPointerMove, true);
+      window.addEventListener('pointerup', this._onPointerUp, true);
+      window.addEventListener('pointercancel', this._onPointerUp, true);
+      for (const type of TOUCH_EVENTS) window.addEventListener(type, this._onTouchCapture, { capture: true, passive: false });
     }
     window.addEventListener('keydown', this._onKeyDown, true);
+    window.addEventListener('contextmenu', this._onContextMenu, true);
+    window.addEventListener(SETTINGS_EXPORT_EVENT, this._onSettingsExport);
+    window.addEventListener(SETTINGS_IMPORT_EVENT, this._onSettingsImport);
+    this._hookRender();
   }
 
   destroy() {
     const canvas = this.api.getCanvas && this.api.getCanvas();
     if (canvas) {
-      canvas.removeEventListener('mousedown', this._onMouseDown, true);
-      window.removeEventListener('mousemove', this._onMouseMove, true);
-      window.removeEventListener('mouseup', this._onMouseUp, true);
+      canvas.removeEventListener('pointerdown', this._onPointerDown, true);
+      window.removeEventListener('pointermove', this._onPointerMove, true);
+      window.removeEventListener('pointerup', this._onPointerUp, true);
+      window.removeEventListener('pointercancel', this._onPointerUp, true);
+      for (const type of TOUCH_EVENTS) window.removeEventListener(type, this._onTouchCapture, { capture: true });
     }
     window.removeEventListener('keydown', this._onKeyDown, true);
+    window.removeEventListener('contextmenu', this._onContextMenu, true);
+    window.removeEventListener(SETTINGS_EXPORT_EVENT, this._onSettingsExport);
+    window.removeEventListener(SETTINGS_IMPORT_EVENT, this._onSettingsImport);
 
     this._removeBoxDiv();
-    if (this._active) this.restoreSnapshot();
+    this._cancelLasso();
+    this._removeModBar();
+    this._overlay.remove();
+    this._removeStatus();
+    this._cancelTouchPick();
     this._active = false;
+    if (this.api.componentSelection === this) this.api.componentSelection = null;
   }
 
   // ===== Public controls =====
@@ -106,50 +714,422 @@ export default class ComponentSelectionPlugin {
 
     this._active = true;
     this._cacheForMesh(mesh);
-    this._snapshotMask(mesh);
 
     // start with empty visual selection
     this.clearSelection();
+    this._history = [];
+    this._ensureModBar();
   }
 
   deactivate() {
     if (!this._active) return;
-    this.restoreSnapshot();
     this.clearSelection(false);
     this._active = false;
     this._removeBoxDiv();
+    this._cancelLasso();
+    this._loopClick = null;
+    this._removeModBar();
+    this._overlay.remove();
+    this._cancelTouchPick();
+    this._touches.clear();
+    this._touchOwned = false;
+    this._grids = {};
     this.api.render && this.api.render();
   }
 
+  setRegionTool(tool) {
+    this._regionTool = tool;
+    this._cancelLasso();
+    this._updateModBar();
+    this.saveSettings();
+  }
+
+  toggleXray() {
+    this._xray = !this._xray;
+    this.saveSettings();
+  }
+
+  setPathMetric(metric) {
+    this._pathMetric = metric;
+    this.saveSettings();
+  }
+
+  togglePathFill() {
+    this._pathFill = !this._pathFill;
+    this.saveSettings();
+  }
+
+  // Switches to a single mode, converting the selection to it.
   setMode(mode) {
+    if (this._active && this.hasSelection()) {
+      if (this._waitForTopology(() => this.setMode(mode))) return;
+      this._pushHistory();
+      const converted = this._convertTo(mode);
+      for (const m of MODES) this._setOf(m).clear();
+      this._setSelection(mode, converted);
+    }
     this._mode = mode;
-    if (this._active) this.api.render && this.api.render();
+    this._modes = new Set([mode]);
+    this.saveSettings();
+    if (this._active) this._selectionChanged();
+  }
+
+  // Adds or removes a mode (at least one stays enabled). An added mode starts with
+  // the current selection converted to it; a removed one drops its selection.
+  toggleMode(mode) {
+    if (this._modes.has(mode)) {
+      if (this._modes.size === 1) return;
+      if (this._active) this._pushHistory();
+      this._modes.delete(mode);
+      this._setOf(mode).clear();
+      if (this._mode === mode) this._mode = this._modes.values().next().value;
+    } else {
+      if (this._active && this.hasSelection()) {
+        if (this._waitForTopology(() => this.toggleMode(mode))) return;
+        this._pushHistory();
+        this._setSelection(mode, this._convertTo(mode));
+      }
+      this._modes.add(mode);
+      this._mode = mode;
+    }
+    this.saveSettings();
+    if (this._active) this._selectionChanged();
+  }
+
+  setConvertUp(rule) {
+    this._convertUp = rule;
+    this.saveSettings();
   }
 
-  clearSelection(updateMask = true) {
+  // Call after moving vertices of the mesh (Gizmo+ does): the region select grids
+  // are built from the positions at the time.
+  invalidateGeometry(mesh) {
+    if (!mesh || mesh === this._cacheMesh) {
+      this._grids = {};
+      this._revision++;
+    }
+  }
+
+  // Increases whenever the selection or the geometry under it changes, so other
+  // plugins can cache what they derive from it (Gizmo+'s average normal).
+  getRevision() {
+    return this._revision;
+  }
+
+  // Times the topology and grid builds and full / quarter canvas box selects of each
+  // mode on the current mesh, shown in the status line. The selection is kept.
+  // Returns the rows ({ step, ms, count }), null when it has to wait for the topology.
+  benchmark() {
+    const canvas = this.api.getCanvas && this.api.getCanvas();
+    const mesh = this.api.getMesh && this.api.getMesh();
+    if (!this._active || !canvas || !mesh) return null;
+    this._cacheForMesh(mesh);
+    if (this._waitForTopology(() => this.benchmark())) return null;
+
+    const time = (fn) => {
+      const t = performance.now();
+      fn();
+      return Math.round((performance.now() - t) * 10) / 10;
+    };
+    const rows = [{
+      step: 'topology',
+      ms: time(() => buildTopology(this._faces, this._nbFaces, this._nbVerts,
+        mesh.getVerticesRingVertStartCount(), mesh.getVerticesRingVert())),
+      count: this._topo.nbEdges,
+    }];
+
+    const saved = { mode: this._mode, modes: this._modes, verts: this._selVerts, faces: this._selFaces, edges: this._selEdges, history: this._history };
+    const rect = canvas.getBoundingClientRect();
+    const full = { minX: rect.left, minY: rect.top, maxX: rect.right, maxY: rect.bottom, polygon: null };
+    const quarter = {
+      minX: rect.left + rect.width * 0.25, minY: rect.top + rect.height * 0.25,
+      maxX: rect.left + rect.width * 0.5, maxY: rect.top + rect.height * 0.5, polygon: null,
+    };
+    for (const mode of MODES) {
+      this._mode = mode;
+      this._modes = new Set([mode]);
+      delete this._grids[mode];
+      rows.push({ step: `grid ${mode}`, ms: time(() => this._gridFor(mesh, mode)) });
+      for (const [name, region] of [['full', full], ['quarter', quarter]]) {
+        this._selVerts = new Set();
+        this._selFaces = new Set();
+        this._selEdges = new Set();
+        this._history = [];
+        const ms = time(() => this._selectInRegion(region, 'REPLACE'));
+        const count = mode === 'VERTEX' ? this._selVerts.size : (mode === 'FACE' ? this._selFaces.size : this._selEdges.size);
+        rows.push({ step: `box ${mode} (${name}${this._xray ? ', x-ray' : ''})`, ms, count });
+      }
+    }
+
+    this._mode = saved.mode;
+    this._modes = saved.modes;
+    this._selVerts = saved.verts;
+    this._selFaces = saved.faces;
+    this._selEdges = saved.edges;
+    this._history = saved.history;
+    this._selectionChanged();
+    const lines = rows.map((row) => row.step.padEnd(28) + `${row.ms} ms`.padStart(11) +
+      (row.count === undefined ? '' : String(row.count).padStart(10)));
+    this._showStatus(['Benchmark', ...lines].join('\n'), 30000);
+    return rows;
+  }
+
+  clearSelection(notify = true) {
+    if (notify) this._pushHistory();
     this._selVerts.clear();
     this._selFaces.clear();
     this._selEdges.clear();
-    if (updateMask) this._applySelectionToMask();
+    if (notify) this._selectionChanged();
+    else this._revision++;
   }
 
-  commitMask() {
-    // Keep current mask as-is; just forget snapshot so "Restore" won't undo it.
-    this._maskSnapshot = null;
-    this.api.render && this.api.render();
+  undoSelection() {
+    const prev = this._history.pop();
+    if (!this._active || !prev) return;
+    this._selVerts = prev.verts;
+    this._selFaces = prev.faces;
+    this._selEdges = prev.edges;
+    this._modes = prev.modes;
+    this._mode = prev.mode;
+    this._selectionChanged();
   }
 
-  restoreSnapshot() {
-    const mesh = this.api.getMesh && this.api.getMesh();
-    if (!mesh || !this._maskSnapshot) return;
+  toggleTouchMod(key) {
+    this._touchMods[key] = !this._touchMods[key];
+    // Add and Sub are exclusive
+    if (key === 'add' && this._touchMods.add) this._touchMods.sub = false;
+    if (key === 'sub' && this._touchMods.sub) this._touchMods.add = false;
+    this._updateModBar();
+  }
+
+  // Combines the selection (feathered if a feather is set) with the sculpt mask:
+  // REPLACE writes it, ADD takes the max, SUBTRACT removes it, INTERSECT takes the min.
+  // One undo step in SculptGL's state manager.
+  selectionToMask(op = 'REPLACE') {
+    const mesh = this.getMesh();
+    if (!mesh || !MASK_OPS.includes(op)) return;
     const mAr = mesh.getMaterials();
     if (!mAr) return;
-    const nb = mesh.getNbVertices();
-    for (let i = 0; i < nb; i++) {
-      mAr[i * 3 + 2] = this._maskSnapshot[i];
+
+    const weights = this._maskWeights(mesh);
+    const ids = [];
+    const before = [];
+    const after = [];
+    for (let i = 0; i < this._nbVerts; i++) {
+      const m = mAr[i * 3 + 2];
+      const w = weights[i];
+      let value = w;
+      if (op === 'ADD') value = Math.max(m, w);
+      else if (op === 'SUBTRACT') value = Math.min(m, 1 - w);
+      else if (op === 'INTERSECT') value = Math.min(m, w);
+      if (value === m) continue;
+      ids.push(i);
+      before.push(m);
+      after.push(value);
     }
-    mesh.updateMaterials && mesh.updateMaterials();
-    this.api.render && this.api.render();
+    if (!ids.length) return;
+
+    const state = new MaskState(this.api, Uint32Array.from(ids), Float32Array.from(before), Float32Array.from(after),
+      (vIds, values) => writeMaterialMask(mesh, vIds, values));
+    state.redo();
+    const main = this.api.main;
+    const sm = (main && main.getStateManager && main.getStateManager()) || (this.api.getStateManager && this.api.getStateManager());
+    if (sm && sm.pushState) sm.pushState(state);
+  }
+
+  // Selects the vertices whose sculpt mask is >= the threshold, converted up to each
+  // enabled mode like a mode switch (enclosed or touching edges / faces). REPLACE
+  // swaps the selection, ADD merges it, INTERSECT keeps only what is in both.
+  maskToSelection(op = 'REPLACE') {
+    if (!this._active || !FROM_MASK_OPS.includes(op)) return;
+    const mesh = this.api.getMesh && this.api.getMesh();
+    if (!mesh) return;
+    this._cacheForMesh(mesh);
+    if (this._needsTopology() && this._waitForTopology(() => this.maskToSelection(op))) return;
+    const mask = this._readMask(mesh);
+    if (!mask) return;
+
+    const verts = new Set();
+    for (let i = 0; i < this._nbVerts; i++) {
+      if (mask(i) >= this._maskThreshold) verts.add(i);
+    }
+
+    this._pushHistory();
+    for (const mode of this._modes) {
+      const ids = mode === 'VERTEX' ? verts : this._convert('VERTEX', mode, verts);
+      const current = this._setOf(mode);
+      if (op === 'REPLACE') {
+        this._setSelection(mode, ids);
+      } else if (op === 'ADD') {
+        for (const id of ids) current.add(id);
+      } else {
+        for (const id of current) if (!ids.has(id)) current.delete(id);
+      }
+    }
+    this._selectionChanged();
+  }
+
+  setMaskThreshold(value) {
+    if (!(value >= 0 && value <= 1)) return;
+    this._maskThreshold = value;
+    this.saveSettings();
+  }
+
+  promptMaskThreshold() {
+    const v = parseFloat(window.prompt('Mask threshold (0..1):', String(this._maskThreshold)));
+    if (!Number.isNaN(v)) this.setMaskThreshold(v);
+  }
+
+  setFeather(mode, amount) {
+    this._featherMode = mode;
+    if (mode === 'DISTANCE' && amount > 0) this._featherDistance = amount;
+    if (mode === 'RINGS' && amount >= 1) this._featherRings = Math.round(amount);
+    this.saveSettings();
+  }
+
+  setFeatherCurve(curve) {
+    this._featherCurve = curve;
+    this.saveSettings();
+  }
+
+  promptFeatherDistance() {
+    const v = parseFloat(window.prompt('Feather distance (world units):', String(this._featherDistance)));
+    if (v > 0) this.setFeather('DISTANCE', v);
+  }
+
+  promptFeatherRings() {
+    const v = parseInt(window.prompt('Feather rings:', String(this._featherRings)), 10);
+    if (v >= 1) this.setFeather('RINGS', v);
+  }
+
+  // ===== Settings =====
+
+  getSettings() {
+    return {
+      mode: this._mode,
+      modes: Array.from(this._modes),
+      convertUp: this._convertUp,
+      regionTool: this._regionTool,
+      xray: this._xray,
+      featherMode: this._featherMode,
+      featherDistance: this._featherDistance,
+      featherRings: this._featherRings,
+      featherCurve: this._featherCurve,
+      maskThreshold: this._maskThreshold,
+      pathMetric: this._pathMetric,
+      pathFill: this._pathFill,
+    };
+  }
+
+  applySettings(s) {
+    if (!s || typeof s !== 'object') return;
+    if (MODES.includes(s.mode)) {
+      this._mode = s.mode;
+      this._modes = new Set([s.mode]);
+    }
+    const modes = Array.isArray(s.modes) ? s.modes.filter((m) => MODES.includes(m)) : [];
+    if (modes.length) {
+      this._modes = new Set(modes);
+      if (!this._modes.has(this._mode)) this._mode = modes[0];
+    }
+    if (CONVERT_RULES.includes(s.convertUp)) this._convertUp = s.convertUp;
+    if (s.regionTool in REGION_TOOLS) this._regionTool = s.regionTool;
+    if (typeof s.xray === 'boolean') this._xray = s.xray;
+    if (FEATHER_MODES.includes(s.featherMode)) this._featherMode = s.featherMode;
+    if (s.featherDistance > 0) this._featherDistance = s.featherDistance;
+    if (s.featherRings >= 1) this._featherRings = Math.round(s.featherRings);
+    if (FEATHER_CURVES.includes(s.featherCurve)) this._featherCurve = s.featherCurve;
+    if (s.maskThreshold >= 0 && s.maskThreshold <= 1) this._maskThreshold = s.maskThreshold;
+    if (PATH_METRICS.includes(s.pathMetric)) this._pathMetric = s.pathMetric;
+    if (typeof s.pathFill === 'boolean') this._pathFill = s.pathFill;
+  }
+
+  saveSettings() {
+    writeStorage(SETTINGS_KEY, this.getSettings());
+  }
+
+  _onSettingsExport(e) {
+    e.detail[SETTINGS_SECTION] = this.getSettings();
+  }
+
+  _onSettingsImport(e) {
+    const s = e.detail[SETTINGS_SECTION];
+    if (!s) return;
+    this.applySettings(s);
+    this.saveSettings();
+    if (this._active) this.api.render && this.api.render();
+  }
+
+  // ===== Queries (used by other plugins) =====
+
+  // Mesh the selection refers to, or null when selection mode is off.
+  getMesh() {
+    return this._active ? this._cacheMesh : null;
+  }
+
+  hasSelection() {
+    if (!this._active) return false;
+    for (const mode of this._modes) {
+      if (this._setOf(mode).size > 0) return true;
+    }
+    return false;
+  }
+
+  // Vertex ids covered by the selection of the enabled modes.
+  getSelectedVertices() {
+    if (!this._active || !this._faces) return new Set();
+    if (this._modes.size === 1) return this._modeVertices(this._mode);
+    const out = new Set();
+    for (const mode of this._modes) {
+      for (const v of this._modeVertices(mode)) out.add(v);
+    }
+    return out;
+  }
+
+  // Face ids covered by the selection: the selected faces, plus faces whose vertices
+  // are all selected in the vertex / edge modes.
+  getSelectedFaces() {
+    if (!this._active || !this._faces) return [];
+    const out = new Set(this._modes.has('FACE') ? this._selFaces : []);
+
+    const verts = new Set();
+    for (const mode of this._modes) {
+      if (mode !== 'FACE') for (const v of this._modeVertices(mode)) verts.add(v);
+    }
+    if (verts.size) {
+      for (let f = 0; f < this._nbFaces; f++) {
+        const base = f * 4;
+        const d = this._faces[base + 3];
+        if (!verts.has(this._faces[base]) || !verts.has(this._faces[base + 1]) || !verts.has(this._faces[base + 2])) continue;
+        if (!isTri(d) && !verts.has(d)) continue;
+        out.add(f);
+      }
+    }
+    return Array.from(out);
+  }
+
+  // Edges covered by the selection, as [a, b] vertex pairs (none while the topology
+  // is still being built).
+  getSelectedEdges() {
+    const topo = this._topo;
+    if (!this._active || !this._faces || !topo) return [];
+    const edges = new Set(this._modes.has('EDGE') ? this._selEdges : []);
+    if (this._modes.has('FACE')) {
+      for (const f of this._selFaces) {
+        for (let k = 0; k < 4; k++) {
+          if (topo.faceEdges[f * 4 + k] >= 0) edges.add(topo.faceEdges[f * 4 + k]);
+        }
+      }
+    }
+    if (this._modes.has('VERTEX')) {
+      // edges with both ends selected (each edge is listed under its lowest vertex)
+      for (const v of this._selVerts) {
+        for (let e = topo.loStart[v], end = topo.loStart[v + 1]; e < end; e++) {
+          if (this._selVerts.has(topo.edgeVerts[e * 2 + 1])) edges.add(e);
+        }
+      }
+    }
+    return Array.from(edges, (e) => [topo.edgeVerts[e * 2], topo.edgeVerts[e * 2 + 1]]);
   }
 
   // ===== Core selection operations =====
@@ -159,8 +1139,35 @@ export default class ComponentSelectionPlugin {
     const mesh = this.api.getMesh && this.api.getMesh();
     if (!mesh) return;
     this._cacheForMesh(mesh);
+    if (this._needsTopology() && this._waitForTopology(() => this.selectLinked())) return;
+    this._pushHistory();
+    for (const mode of this._modes) this._selectLinkedMode(mesh, mode);
+    this._selectionChanged();
+  }
 
-    if (this._mode === 'VERTEX') {
+  // Extends every selected edge to its whole loop (or ring), edge mode only.
+  selectLoops(ring = false) {
+    if (!this._active || !this._modes.has('EDGE')) return;
+    const mesh = this.api.getMesh && this.api.getMesh();
+    if (!mesh) return;
+    this._cacheForMesh(mesh);
+    if (this._waitForTopology(() => this.selectLoops(ring))) return;
+    this._pushHistory();
+    const startCount = mesh.getVerticesRingVertStartCount();
+    const done = new Set(); // a loop / ring is walked once, from the first of its edges
+    for (const e of Array.from(this._selEdges)) {
+      if (done.has(e)) continue;
+      const edges = ring ? edgeRing(this._topo, this._faces, e).edges : edgeLoop(this._topo, this._faces, startCount, e);
+      for (const id of edges) {
+        done.add(id);
+        this._selEdges.add(id);
+      }
+    }
+    this._selectionChanged();
+  }
+
+  _selectLinkedMode(mesh, mode) {
+    if (mode === 'VERTEX') {
       if (this._selVerts.size === 0) return;
       const seed = this._selVerts.values().next().value;
       const visited = new Set([seed]);
@@ -181,22 +1188,17 @@ export default class ComponentSelectionPlugin {
         }
       }
       this._selVerts = visited;
-    } else if (this._mode === 'FACE') {
+    } else if (mode === 'FACE') {
       if (this._selFaces.size === 0) return;
       const seed = this._selFaces.values().next().value;
       const visited = new Set([seed]);
       const stack = [seed];
       while (stack.length) {
         const f = stack.pop();
-        const edges = this._faceEdges[f] || [];
-        for (const ek of edges) {
-          const adj = this._edgeToFaces.get(ek);
-          if (!adj) continue;
-          for (const nf of adj) {
-            if (!visited.has(nf)) {
-              visited.add(nf);
-              stack.push(nf);
-            }
+        for (const nf of adjacentFaces(this._topo, f)) {
+          if (!visited.has(nf)) {
+            visited.add(nf);
+            stack.push(nf);
           }
         }
       }
@@ -206,30 +1208,25 @@ export default class ComponentSelectionPlugin {
       const seed = this._selEdges.values().next().value;
       const visited = new Set([seed]);
       const stack = [seed];
-      // build vertex->edges adjacency on the fly
-      const v2e = new Map();
-      for (const ek of this._edgeToVerts.keys()) {
-        const [a, b] = this._edgeToVerts.get(ek);
-        if (!v2e.has(a)) v2e.set(a, []);
-        if (!v2e.has(b)) v2e.set(b, []);
-        v2e.get(a).push(ek);
-        v2e.get(b).push(ek);
-      }
+      const { edgeVerts, vertEdges } = this._topo;
+      const startCount = mesh.getVerticesRingVertStartCount();
       while (stack.length) {
-        const ek = stack.pop();
-        const [a, b] = this._edgeToVerts.get(ek);
-        const neigh = (v2e.get(a) || []).concat(v2e.get(b) || []);
-        for (const nek of neigh) {
-          if (!visited.has(nek)) {
-            visited.add(nek);
-            stack.push(nek);
+        const e = stack.pop();
+        for (let j = 0; j < 2; j++) {
+          const v = edgeVerts[e * 2 + j];
+          const start = startCount[v * 2];
+          const count = startCount[v * 2 + 1];
+          for (let i = 0; i < count; i++) {
+            const ne = vertEdges[start + i];
+            if (ne >= 0 && !visited.has(ne)) {
+              visited.add(ne);
+              stack.push(ne);
+            }
           }
         }
       }
       this._selEdges = visited;
     }
-
-    this._applySelectionToMask();
   }
 
   grow() {
@@ -237,8 +1234,14 @@ export default class ComponentSelectionPlugin {
     const mesh = this.api.getMesh && this.api.getMesh();
     if (!mesh) return;
     this._cacheForMesh(mesh);
+    if (this._needsTopology() && this._waitForTopology(() => this.grow())) return;
+    this._pushHistory();
+    for (const mode of this._modes) this._growMode(mesh, mode);
+    this._selectionChanged();
+  }
 
-    if (this._mode === 'VERTEX') {
+  _growMode(mesh, mode) {
+    if (mode === 'VERTEX') {
       const startCount = mesh.getVerticesRingVertStartCount();
       const ring = mesh.getVerticesRingVert();
       const add = new Set(this._selVerts);
@@ -249,32 +1252,29 @@ export default class ComponentSelectionPlugin {
         for (let i = 0; i < count; i++) add.add(ring[start + i]);
       }
       this._selVerts = add;
-    } else if (this._mode === 'FACE') {
+    } else if (mode === 'FACE') {
       const add = new Set(this._selFaces);
       for (const f of this._selFaces) {
-        const edges = this._faceEdges[f] || [];
-        for (const ek of edges) {
-          const adj = this._edgeToFaces.get(ek) || [];
-          for (const nf of adj) add.add(nf);
-        }
+        for (const nf of adjacentFaces(this._topo, f)) add.add(nf);
       }
       this._selFaces = add;
     } else { // EDGE
       const add = new Set(this._selEdges);
       // add edges that share a vertex with any selected edge
-      const selectedVerts = new Set();
-      for (const ek of this._selEdges) {
-        const [a, b] = this._edgeToVerts.get(ek);
-        selectedVerts.add(a); selectedVerts.add(b);
-      }
-      for (const [ek, ab] of this._edgeToVerts.entries()) {
-        if (add.has(ek)) continue;
-        if (selectedVerts.has(ab[0]) || selectedVerts.has(ab[1])) add.add(ek);
+      const { edgeVerts, vertEdges } = this._topo;
+      const startCount = mesh.getVerticesRingVertStartCount();
+      for (const e of this._selEdges) {
+        for (let j = 0; j < 2; j++) {
+          const v = edgeVerts[e * 2 + j];
+          const start = startCount[v * 2];
+          const count = startCount[v * 2 + 1];
+          for (let i = 0; i < count; i++) {
+            if (vertEdges[start + i] >= 0) add.add(vertEdges[start + i]);
+          }
+        }
       }
       this._selEdges = add;
     }
-
-    this._applySelectionToMask();
   }
 
   shrink() {
@@ -282,8 +1282,14 @@ export default class ComponentSelectionPlugin {
     const mesh = this.api.getMesh && this.api.getMesh();
     if (!mesh) return;
     this._cacheForMesh(mesh);
+    if (this._needsTopology() && this._waitForTopology(() => this.shrink())) return;
+    this._pushHistory();
+    for (const mode of this._modes) this._shrinkMode(mesh, mode);
+    this._selectionChanged();
+  }
 
-    if (this._mode === 'VERTEX') {
+  _shrinkMode(mesh, mode) {
+    if (mode === 'VERTEX') {
       const startCount = mesh.getVerticesRingVertStartCount();
       const ring = mesh.getVerticesRingVert();
       const keep = new Set();
@@ -298,212 +1304,768 @@ export default class ComponentSelectionPlugin {
         if (!boundary) keep.add(v);
       }
       this._selVerts = keep;
-    } else if (this._mode === 'FACE') {
+    } else if (mode === 'FACE') {
       const keep = new Set();
       for (const f of this._selFaces) {
-        let boundary = false;
-        const edges = this._faceEdges[f] || [];
-        for (const ek of edges) {
-          const adj = this._edgeToFaces.get(ek) || [];
-          // boundary if any adjacent face is not selected
-          for (const nf of adj) {
-            if (!this._selFaces.has(nf)) { boundary = true; break; }
-          }
-          if (boundary) break;
-        }
+        // boundary if any adjacent face is not selected
+        const boundary = adjacentFaces(this._topo, f).some((nf) => !this._selFaces.has(nf));
         if (!boundary) keep.add(f);
       }
       this._selFaces = keep;
     } else { // EDGE
       const keep = new Set();
+      const edgeVerts = this._topo.edgeVerts;
       const selectedVerts = new Map(); // v -> count of selected incident edges
-      for (const ek of this._selEdges) {
-        const [a, b] = this._edgeToVerts.get(ek);
+      for (const e of this._selEdges) {
+        const a = edgeVerts[e * 2], b = edgeVerts[e * 2 + 1];
         selectedVerts.set(a, (selectedVerts.get(a) || 0) + 1);
         selectedVerts.set(b, (selectedVerts.get(b) || 0) + 1);
       }
-      for (const ek of this._selEdges) {
-        const [a, b] = this._edgeToVerts.get(ek);
+      for (const e of this._selEdges) {
+        const a = edgeVerts[e * 2], b = edgeVerts[e * 2 + 1];
         // keep only if not on boundary: both endpoints have degree >=2 in selection
-        if ((selectedVerts.get(a) || 0) >= 2 && (selectedVerts.get(b) || 0) >= 2) keep.add(ek);
+        if ((selectedVerts.get(a) || 0) >= 2 && (selectedVerts.get(b) || 0) >= 2) keep.add(e);
       }
       this._selEdges = keep;
     }
+  }
+
+  // ===== Mode conversion =====
+
+  // vertex ids covered by the selection of one mode (or by `src`, ids of that mode)
+  _modeVertices(mode, src = this._setOf(mode)) {
+    const out = new Set();
+    if (mode === 'VERTEX') {
+      for (const v of src) out.add(v);
+    } else if (mode === 'FACE') {
+      for (const f of src) {
+        const base = f * 4;
+        const a = this._faces[base], b = this._faces[base + 1], c = this._faces[base + 2], d = this._faces[base + 3];
+        out.add(a); out.add(b); out.add(c);
+        if (!isTri(d)) out.add(d);
+      }
+    } else if (this._topo) { // EDGE
+      const edgeVerts = this._topo.edgeVerts;
+      for (const e of src) {
+        out.add(edgeVerts[e * 2]);
+        out.add(edgeVerts[e * 2 + 1]);
+      }
+    }
+    return out;
+  }
+
+  // selection of `to` derived from every enabled mode (its own selection included)
+  _convertTo(to) {
+    const out = new Set(this._modes.has(to) ? this._setOf(to) : []);
+    for (const from of this._modes) {
+      if (from === to) continue;
+      for (const id of this._convert(from, to)) out.add(id);
+    }
+    return out;
+  }
+
+  // Going down (faces -> edges / vertices, edges -> vertices) keeps everything the
+  // selection touches. Going up keeps the enclosed edges / faces (all their vertices
+  // or edges selected), or every touched one when _convertUp is TOUCHING.
+  // `src` defaults to the current selection of `from`.
+  _convert(from, to, src = this._setOf(from)) {
+    if (to === 'VERTEX') return this._modeVertices(from, src);
+
+    const { edgeVerts, edgeFaces, faceEdges, vertEdges } = this._topo;
+    const startCount = this._cacheMesh.getVerticesRingVertStartCount();
+    const touching = this._convertUp === 'TOUCHING';
+    const out = new Set();
+    // edges around each selected vertex
+    const incident = (fn) => {
+      for (const v of src) {
+        const start = startCount[v * 2];
+        const count = startCount[v * 2 + 1];
+        for (let i = 0; i < count; i++) {
+          if (vertEdges[start + i] >= 0) fn(vertEdges[start + i], v);
+        }
+      }
+    };
+
+    if (to === 'EDGE') {
+      if (from === 'FACE') {
+        for (const f of src) {
+          for (let k = 0; k < 4; k++) {
+            if (faceEdges[f * 4 + k] >= 0) out.add(faceEdges[f * 4 + k]);
+          }
+        }
+      } else { // VERTEX
+        incident((e, v) => {
+          const other = edgeVerts[e * 2] === v ? edgeVerts[e * 2 + 1] : edgeVerts[e * 2];
+          if (touching || src.has(other)) out.add(e);
+        });
+      }
+      return out;
+    }
+
+    // FACE: candidates are the faces along the selected edges / around the selected vertices
+    const candidates = new Set();
+    const addFaces = (e) => {
+      if (edgeFaces[e * 2] >= 0) candidates.add(edgeFaces[e * 2]);
+      if (edgeFaces[e * 2 + 1] >= 0) candidates.add(edgeFaces[e * 2 + 1]);
+    };
+    if (from === 'EDGE') for (const e of src) addFaces(e);
+    else incident(addFaces);
+    if (touching) return candidates;
 
-    this._applySelectionToMask();
+    const fAr = this._faces;
+    for (const f of candidates) {
+      let enclosed = true;
+      for (let k = 0; k < 4 && enclosed; k++) {
+        if (from === 'EDGE') enclosed = faceEdges[f * 4 + k] < 0 || src.has(faceEdges[f * 4 + k]);
+        else enclosed = isTri(fAr[f * 4 + k]) || src.has(fAr[f * 4 + k]);
+      }
+      if (enclosed) out.add(f);
+    }
+    return out;
   }
 
   // ===== Input handling =====
 
   _onKeyDown(e) {
-    if (!this._active) return;
+    if (!this._active || isTextField(e.target)) return;
+    // Gizmo+ owns the keys while it edits (Esc cancels, digits are numeric entry)
+    const gizmo = this.api.gizmoPlus;
+    if (gizmo && gizmo.isEditing && gizmo.isEditing()) return;
 
     const isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
     const ctrl = isMac ? e.metaKey : e.ctrlKey;
 
+    // polygon in progress: Enter closes, Backspace removes the last point, Esc cancels
+    if (this._lasso && this._lasso.polygon) {
+      if (e.key === 'Enter') { e.preventDefault(); this._finishLasso(); return; }
+      if (e.key === 'Escape') { e.preventDefault(); this._cancelLasso(); return; }
+      if (e.key === 'Backspace') {
+        e.preventDefault();
+        if (this._lasso.points.length > 1) this._lasso.points.pop();
+        this._updateLassoSvg();
+        return;
+      }
+    }
+
     if (e.key === 'Escape') {
       e.preventDefault();
+      this._cancelLasso();
       this.deactivate();
       return;
     }
 
-    if (e.key === '1') { this.setMode('VERTEX'); return; }
-    if (e.key === '2') { this.setMode('EDGE'); return; }
-    if (e.key === '3') { this.setMode('FACE'); return; }
+    // e.code: Shift+1 gives '!' (or another symbol) as e.key
+    const digit = e.code && e.code.startsWith('Digit') ? e.code.slice(5) : e.key;
+    const mode = { 1: 'VERTEX', 2: 'EDGE', 3: 'FACE' }[digit];
+    if (mode && !ctrl && !e.altKey) {
+      if (e.shiftKey) this.toggleMode(mode);
+      else this.setMode(mode);
+      return;
+    }
 
     if (ctrl && (e.key === 'l' || e.key === 'L')) { e.preventDefault(); this.selectLinked(); return; }
     if (ctrl && (e.key === '+' || e.key === '=')) { e.preventDefault(); this.grow(); return; }
     if (ctrl && (e.key === '-' || e.key === '_')) { e.preventDefault(); this.shrink(); return; }
   }
 
-  _onMouseDown(e) {
+  // Mouse and pen act immediately (pen eraser subtracts, pressure is ignored as no tool
+  // here has a width); touch goes through _onTouchDown so a tap, a long-press and camera
+  // gestures can be told apart.
+  _onPointerDown(e) {
     if (!this._active) return;
-    if (e.button !== 0) return; // left only
-
-    const canvas = this.api.getCanvas && this.api.getCanvas();
-    if (!canvas) return;
-
-    // Alt+Drag => box select
-    if (e.altKey) {
-      this._boxStart = { x: e.clientX, y: e.clientY, add: e.shiftKey, sub: (e.ctrlKey || e.metaKey) };
-      this._ensureBoxDiv();
-      this._updateBoxDiv(e.clientX, e.clientY);
+    if (e.pointerType === 'touch') { this._onTouchDown(e); return; }
+    const eraser = e.pointerType === 'pen' && e.button === 5;
+    this._swallowContextMenu = false;
+
+    // polygon in progress: left click adds a point, right click closes
+    if (this._lasso && this._lasso.polygon) {
+      if (e.button === 2) {
+        this._finishLasso();
+        this._swallowContextMenu = true; // its contextmenu event comes after
+      } else if (e.button === 0) {
+        this._addPolygonPoint(e.clientX, e.clientY);
+      }
       e.preventDefault();
       e.stopPropagation();
       return;
     }
 
-    // Single pick
-    const mesh = this.api.getMesh && this.api.getMesh();
-    if (!mesh) return;
-    const picking = this.api.getPicking && this.api.getPicking();
-    if (!picking) return;
+    if (e.button !== 0 && !eraser) return; // left / pen tip only
 
-    // Update mouse coords for picking
-    // SculptGL stores _mouseX/_mouseY, but we can compute relative to canvas.
-    const rect = canvas.getBoundingClientRect();
-    const mx = e.clientX - rect.left;
-    const my = e.clientY - rect.top;
+    // a Gizmo+ handle under the pointer: the click starts a gizmo drag, not a pick
+    const gizmo = this.api.gizmoPlus;
+    if (gizmo && gizmo.isOverHandle && gizmo.isOverHandle()) return;
 
-    const hit = picking.intersectionMouseMeshes([mesh], mx, my);
-    if (!hit) return;
-    const faceId = picking.getPickedFace();
-    if (faceId < 0) return;
+    // Alt+Drag / Alt+Click (or the region toggle) => box, lasso or polygon select.
+    // With box / lasso, an Alt+Click that doesn't drag picks a loop (Ctrl: a ring) instead.
+    if (e.altKey || this._touchMods.region) {
+      this._loopClick = e.altKey && !eraser && this._regionTool !== 'POLYGON'
+        ? { x: e.clientX, y: e.clientY, id: e.pointerId, ring: e.ctrlKey || e.metaKey, op: e.shiftKey ? 'ADD' : 'REPLACE' }
+        : null;
+      this._beginRegion(e, eraser ? 'SUB' : this._boxOp(e));
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
 
-    const inter = picking.getIntersectionPoint(); // local space of mesh
-    const op = this._computeOp(e);
-    this._applyPick(faceId, inter, op);
+    if (!this._pickAt(e.clientX, e.clientY, eraser ? 'SUB' : this._computeOp(e))) return;
+    e.preventDefault();
+    e.stopPropagation();
+  }
 
+  // no browser menu while a polygon is drawn, nor for the right click that closed it
+  _onContextMenu(e) {
+    if (!(this._lasso && this._lasso.polygon) && !this._swallowContextMenu) return;
+    this._swallowContextMenu = false;
     e.preventDefault();
     e.stopPropagation();
   }
 
-  _onMouseMove(e) {
+  _onPointerMove(e) {
     if (!this._active) return;
-    if (!this._boxStart) return;
+    if (e.pointerType === 'touch') this._onTouchMove(e);
+    if (this._lasso) this._moveLasso(e);
+    if (!this._boxStart || this._boxStart.id !== e.pointerId) return;
     this._updateBoxDiv(e.clientX, e.clientY);
     e.preventDefault();
     e.stopPropagation();
   }
 
-  _onMouseUp(e) {
+  _onPointerUp(e) {
     if (!this._active) return;
-    if (!this._boxStart) return;
+    if (e.pointerType === 'touch') this._onTouchUp(e);
+    if (this._endLoopClick(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    const lasso = this._lasso;
+    if (lasso && !lasso.polygon && lasso.id === e.pointerId) {
+      if (e.type === 'pointercancel') this._cancelLasso();
+      else this._finishLasso();
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    if (!this._boxStart || this._boxStart.id !== e.pointerId) return;
+    if (e.type === 'pointercancel') this._cancelBox();
+    else this._finishBox(e.clientX, e.clientY);
+    e.preventDefault();
+    e.stopPropagation();
+  }
 
+  // Alt+Click released where it was pressed: drop the region and select the loop / ring
+  // under the cursor. False when the press turned into a region drag.
+  _endLoopClick(e) {
+    const click = this._loopClick;
+    if (!click || click.id !== e.pointerId) return false;
+    this._loopClick = null;
+    if (e.type === 'pointercancel' || Math.hypot(e.clientX - click.x, e.clientY - click.y) > TAP_SLOP) return false;
+    this._cancelBox();
+    this._cancelLasso();
+    const hit = this._pickHit(click.x, click.y);
+    if (hit) this._applyLoop(hit.faceId, hit.inter, click.ring, click.op);
+    return true;
+  }
+
+  // ===== Touch gestures =====
+  //  - tap on the mesh        : pick (using the on-screen Add/Sub toggles)
+  //  - long-press on the mesh : subtract
+  //  - region toggle         : drag = box / lasso, taps = polygon points (double-tap closes)
+  //  - two-finger tap         : undo the last selection change
+  // Anything else (one finger off the mesh, two-finger pinch/pan) is left to the camera.
+
+  _onTouchDown(e) {
+    this._touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this._touches.size > 1) {
+      // extra finger: hand the gesture back to SculptGL's camera
+      this._cancelTouchPick();
+      this._cancelBox();
+      if (this._lasso && !this._lasso.polygon) this._cancelLasso();
+      this._touchOwned = false;
+      this._twoFingerTap = this._touches.size === 2 ? { t: performance.now(), moved: false } : null;
+      return;
+    }
+
+    if (this._touchMods.region || (this._lasso && this._lasso.polygon)) {
+      if (this._lasso && this._lasso.polygon) this._addPolygonPoint(e.clientX, e.clientY);
+      else this._beginRegion(e, this._boxOp(e));
+      this._touchOwned = true;
+      e.preventDefault();
+      return;
+    }
+
+    // only claim touches that land on the mesh, so one-finger orbit still works
+    if (!this._pickHit(e.clientX, e.clientY)) return;
+    this._touchOwned = true;
+    const pick = { id: e.pointerId, x: e.clientX, y: e.clientY, timer: 0 };
+    pick.timer = setTimeout(() => {
+      this._touchPick = null;
+      this._pickAt(pick.x, pick.y, 'SUB');
+    }, LONG_PRESS_MS);
+    this._touchPick = pick;
+    e.preventDefault();
+  }
+
+  _onTouchMove(e) {
+    const start = this._touches.get(e.pointerId);
+    if (!start) return;
+    const moved = Math.hypot(e.clientX - start.x, e.clientY - start.y) > TAP_SLOP;
+    if (!moved) return;
+    if (this._touchPick && this._touchPick.id === e.pointerId) this._cancelTouchPick();
+    if (this._twoFingerTap) this._twoFingerTap.moved = true;
+  }
+
+  _onTouchUp(e) {
+    if (!this._touches.delete(e.pointerId)) return;
+
+    const pick = this._touchPick;
+    if (pick && pick.id === e.pointerId) {
+      this._cancelTouchPick();
+      if (e.type !== 'pointercancel') this._pickAt(pick.x, pick.y, this._computeOp(e));
+    }
+
+    if (this._touches.size) return;
+    const tap = this._twoFingerTap;
+    if (tap && !tap.moved && e.type !== 'pointercancel' && performance.now() - tap.t < TWO_FINGER_TAP_MS) {
+      this.undoSelection();
+    }
+    this._twoFingerTap = null;
+    this._touchOwned = false;
+  }
+
+  _cancelTouchPick() {
+    if (!this._touchPick) return;
+    clearTimeout(this._touchPick.timer);
+    this._touchPick = null;
+  }
+
+  // Pointer events come first; the native touch events of a gesture we claimed are
+  // stopped here so SculptGL doesn't also sculpt/orbit with them.
+  _onTouchCapture(e) {
+    if (!this._touchOwned) return;
+    e.stopPropagation();
+    if (e.cancelable) e.preventDefault();
+  }
+
+  // ===== Picking / box =====
+
+  // {faceId, inter} under the client point, or null
+  _pickHit(clientX, clientY) {
     const canvas = this.api.getCanvas && this.api.getCanvas();
     const mesh = this.api.getMesh && this.api.getMesh();
-    const cam = this.api.getCamera && this.api.getCamera();
-    if (!canvas || !mesh || !cam) { this._boxStart = null; this._removeBoxDiv(); return; }
+    const picking = this.api.getPicking && this.api.getPicking();
+    if (!canvas || !mesh || !picking) return null;
+
+    // SculptGL's picking takes canvas device pixels, like its own _mouseX/_mouseY
+    const rect = canvas.getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1;
+    const hit = picking.intersectionMouseMeshes([mesh], (clientX - rect.left) * pr, (clientY - rect.top) * pr);
+    if (!hit) return null;
+    const faceId = picking.getPickedFace();
+    if (faceId < 0) return null;
+    return { faceId, inter: picking.getIntersectionPoint() }; // inter in local space of mesh
+  }
 
+  _pickAt(clientX, clientY, op) {
+    const hit = this._pickHit(clientX, clientY);
+    if (!hit) return false;
+    this._applyPick(hit.faceId, hit.inter, op);
+    return true;
+  }
+
+  _boxOp(e) {
+    if (this._touchMods.sub || e.ctrlKey || e.metaKey) return 'SUB';
+    if (this._touchMods.add || e.shiftKey) return 'ADD';
+    return 'REPLACE';
+  }
+
+  _beginBox(e, op) {
+    this._boxStart = { x: e.clientX, y: e.clientY, op, id: e.pointerId };
+    this._ensureBoxDiv();
+    this._updateBoxDiv(e.clientX, e.clientY);
+  }
+
+  _cancelBox() {
+    this._boxStart = null;
+    this._removeBoxDiv();
+  }
+
+  _finishBox(x1, y1) {
     const x0 = this._boxStart.x;
     const y0 = this._boxStart.y;
-    const x1 = e.clientX;
-    const y1 = e.clientY;
     const minX = Math.min(x0, x1);
     const maxX = Math.max(x0, x1);
     const minY = Math.min(y0, y1);
     const maxY = Math.max(y0, y1);
 
-    const rect = canvas.getBoundingClientRect();
-    const add = this._boxStart.add;
-    const sub = this._boxStart.sub;
+    this._selectInRegion({ minX, minY, maxX, maxY, polygon: null }, this._boxStart.op);
+    this._cancelBox();
+  }
 
-    const op = sub ? 'SUB' : (add ? 'ADD' : 'REPLACE');
+  // Selects every component of the enabled modes whose projected point (vertex, face
+  // centre, edge midpoint) falls inside the region, with REPLACE / ADD / SUB semantics.
+  // region: { minX, minY, maxX, maxY, polygon } in client px, polygon null for a box.
+  // Grid cells whose projection misses the region are skipped whole; items of cells fully
+  // inside a box are not projected: with X-Ray they are all taken, without it they are
+  // placed by interpolating the cell corners for the depth test (see _occlusion).
+  // Without X-Ray, components that are not visible are skipped.
+  _selectInRegion(region, op) {
+    const canvas = this.api.getCanvas && this.api.getCanvas();
+    const mesh = this.api.getMesh && this.api.getMesh();
+    const cam = this.api.getCamera && this.api.getCamera();
+    if (!canvas || !mesh || !cam) return;
 
     this._cacheForMesh(mesh);
+    if (this._needsTopology() && this._waitForTopology(() => this._selectInRegion(region, op))) return;
+    this._pushHistory();
 
-    if (this._mode === 'VERTEX') {
-      if (op === 'REPLACE') this._selVerts.clear();
-      const vAr = mesh.getVertices();
-      const mMat = mesh.getMatrix();
-      const wpos = vec3.create();
-      for (let v = 0; v < this._nbVerts; v++) {
-        const iv = v * 3;
-        vec3.set(wpos, vAr[iv], vAr[iv + 1], vAr[iv + 2]);
-        vec3.transformMat4(wpos, wpos, mMat);
-        const sp = cam.project(wpos);
-        const sx = sp[0] + rect.left;
-        const sy = sp[1] + rect.top;
-        if (sx >= minX && sx <= maxX && sy >= minY && sy <= maxY) {
-          if (op === 'SUB') this._selVerts.delete(v);
-          else this._selVerts.add(v);
+    // region in canvas device px, like cam.project
+    const rect = canvas.getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1;
+    const minX = (region.minX - rect.left) * pr, maxX = (region.maxX - rect.left) * pr;
+    const minY = (region.minY - rect.top) * pr, maxY = (region.maxY - rect.top) * pr;
+    const poly = region.polygon && region.polygon.map(([x, y]) => [(x - rect.left) * pr, (y - rect.top) * pr]);
+    const inside = (sx, sy) => sx >= minX && sx <= maxX && sy >= minY && sy <= maxY && (!poly || pointInPolygon(sx, sy, poly));
+
+    const occ = this._xray ? null : this._occlusion(mesh, cam, {
+      minX: Math.max(0, minX), minY: Math.max(0, minY),
+      maxX: Math.min(rect.width * pr, maxX), maxY: Math.min(rect.height * pr, maxY),
+    });
+    const mMat = mesh.getMatrix();
+    const wpos = vec3.create();
+    for (const mode of this._modes) {
+      const set = this._setOf(mode);
+      if (op === 'REPLACE') set.clear();
+      let front = null;
+      if (occ && mode === 'VERTEX') front = occ.vertFront;
+      else if (occ && mode === 'FACE') front = occ.faceFront;
+      else if (occ) front = (e) => this._edgeFront(occ, e);
+
+      const select = (id) => {
+        if (op === 'SUB') set.delete(id);
+        else set.add(id);
+      };
+
+      const grid = this._gridFor(mesh, mode);
+      if (!grid) continue;
+      const { dim, cellStart, items, pos } = grid;
+      const lattice = projectLattice(grid, mMat, cam);
+      const n = dim + 1;
+      for (let c = 0; c < dim * dim * dim; c++) {
+        const first = cellStart[c];
+        const end = cellStart[c + 1];
+        if (first === end) continue;
+
+        // screen bounds of the cell; cells crossing the near / far planes are never culled
+        const ix = c % dim, iy = Math.floor(c / dim) % dim, iz = Math.floor(c / (dim * dim));
+        let sMinX = Infinity, sMinY = Infinity, sMaxX = -Infinity, sMaxY = -Infinity;
+        let clipped = false;
+        for (let k = 0; k < 8; k++) {
+          const l = ((iz + (k >> 2)) * n + iy + ((k >> 1) & 1)) * n + ix + (k & 1);
+          const x = lattice[l * 3], y = lattice[l * 3 + 1], z = lattice[l * 3 + 2];
+          if (!(z >= 0 && z <= 1)) clipped = true;
+          if (x < sMinX) sMinX = x;
+          if (x > sMaxX) sMaxX = x;
+          if (y < sMinY) sMinY = y;
+          if (y > sMaxY) sMaxY = y;
         }
-      }
-    } else if (this._mode === 'FACE') {
-      if (op === 'REPLACE') this._selFaces.clear();
-      const centers = mesh.getFaceCenters && mesh.getFaceCenters();
-      if (centers) {
-        const mMat = mesh.getMatrix();
-        const wpos = vec3.create();
-        for (let f = 0; f < this._nbFaces; f++) {
-          const ic = f * 3;
-          vec3.set(wpos, centers[ic], centers[ic + 1], centers[ic + 2]);
+        if (!clipped && (sMaxX < minX || sMinX > maxX || sMaxY < minY || sMinY > maxY)) continue;
+        if (!clipped && !poly && sMinX >= minX && sMaxX <= maxX && sMinY >= minY && sMaxY <= maxY) {
+          const unoccluded = occ && occ.cellUnoccluded(grid, lattice, ix, iy, iz);
+          if (!occ || unoccluded) {
+            for (let i = first; i < end; i++) {
+              const id = items[i];
+              if (!occ || (front(id) && unoccluded(id))) select(id);
+            }
+            continue;
+          }
+        }
+
+        for (let i = first; i < end; i++) {
+          const id = items[i];
+          vec3.set(wpos, pos[id * 3], pos[id * 3 + 1], pos[id * 3 + 2]);
           vec3.transformMat4(wpos, wpos, mMat);
           const sp = cam.project(wpos);
-          const sx = sp[0] + rect.left;
-          const sy = sp[1] + rect.top;
-          if (sx >= minX && sx <= maxX && sy >= minY && sy <= maxY) {
-            if (op === 'SUB') this._selFaces.delete(f);
-            else this._selFaces.add(f);
-          }
+          if (inside(sp[0], sp[1]) && (!occ || (front(id) && occ.unoccluded(wpos, sp)))) select(id);
         }
       }
+    }
+
+    this._selectionChanged();
+  }
+
+  // Grid of the components region select tests in this mode: vertices, face centres
+  // or edge midpoints, in mesh local space. Null when the mesh has no face centres.
+  _gridFor(mesh, mode) {
+    if (this._grids[mode]) return this._grids[mode];
+    let pos = null;
+    let count = 0;
+    if (mode === 'VERTEX') {
+      pos = mesh.getVertices();
+      count = this._nbVerts;
+    } else if (mode === 'FACE') {
+      pos = mesh.getFaceCenters && mesh.getFaceCenters();
+      count = this._nbFaces;
     } else { // EDGE
-      if (op === 'REPLACE') this._selEdges.clear();
+      const { nbEdges, edgeVerts } = this._topo;
       const vAr = mesh.getVertices();
+      pos = new Float32Array(nbEdges * 3);
+      for (let e = 0; e < nbEdges; e++) {
+        const ia = edgeVerts[e * 2] * 3, ib = edgeVerts[e * 2 + 1] * 3;
+        pos[e * 3] = (vAr[ia] + vAr[ib]) * 0.5;
+        pos[e * 3 + 1] = (vAr[ia + 1] + vAr[ib + 1]) * 0.5;
+        pos[e * 3 + 2] = (vAr[ia + 2] + vAr[ib + 2]) * 0.5;
+      }
+      count = nbEdges;
+    }
+    if (!pos) return null;
+    this._grids[mode] = buildGrid(pos, count);
+    return this._grids[mode];
+  }
+
+  // Facing tests, for region selection and the overlay: vertFront(v) / faceFront(f) are
+  // true when the normal faces the camera (back faces are hidden).
+  _facing(mesh, cam) {
+    const eye = cameraPosition(cam);
+    if (!eye) return null;
+
+    const inv = mat4.invert(mat4.create(), mesh.getMatrix());
+    const eyeLocal = inv && vec3.transformMat4(vec3.create(), eye, inv);
+    const vAr = mesh.getVertices();
+    const centers = mesh.getFaceCenters && mesh.getFaceCenters();
+    const vNormals = mesh.getNormals();
+    const fNormals = mesh.getFaceNormals && mesh.getFaceNormals();
+    // in local space: n . (eye - p) keeps its sign, normals transform with the inverse transpose
+    const facing = (normals, pos, id) => {
+      if (!normals || !pos || !eyeLocal) return true;
+      const i = id * 3;
+      return normals[i] * (eyeLocal[0] - pos[i]) + normals[i + 1] * (eyeLocal[1] - pos[i + 1]) +
+        normals[i + 2] * (eyeLocal[2] - pos[i + 2]) > 0;
+    };
+
+    return {
+      vertFront: (v) => facing(vNormals, vAr, v),
+      faceFront: (f) => facing(fNormals, centers, f),
+    };
+  }
+
+  // Visibility tests for region selection, the facing tests (see _facing) plus:
+  //  - unoccluded(wpos, sp): nothing in the depth buffer (every mesh of the scene,
+  //    rasterized once over `rect`, in canvas px) is clearly in front of the component
+  //  - cellUnoccluded(grid, lattice, ix, iy, iz): unoccluded(id) for the items of a grid
+  //    cell, projected by interpolating its corners; null when the interpolation is off
+  //    by more than half a px (or half the depth tolerance) at the cell centre
+  // SculptGL's picking is left alone: Gizmo+ reads its last hit for pivots and snapping.
+  _occlusion(mesh, cam, rect) {
+    const eye = cameraPosition(cam);
+    const front = this._facing(mesh, cam);
+    if (!front) return null;
+
+    const mMat = mesh.getMatrix();
+
+    // depth tolerance: 1% of the mesh size, so surface points don't occlude themselves
+    const b = mesh.getLocalBound();
+    const scale = Math.hypot(mMat[0], mMat[1], mMat[2]);
+    const eps = Math.max(1e-5, 0.01 * scale * Math.hypot(b[3] - b[0], b[4] - b[1], b[5] - b[2]));
+
+    const toEye = vec3.create();
+    const nearer = vec3.create();
+    const center = vec3.create();
+    const sp = vec3.create();
+    let depth = null; // built on the first depth test
+    const depthBuffer = () => {
+      if (!depth) depth = this._depthBuffer(mesh, cam, rect);
+      return depth;
+    };
+    // depth of wpos moved eps toward the eye
+    const nearerDepth = (wpos) => {
+      vec3.sub(toEye, eye, wpos);
+      vec3.scaleAndAdd(nearer, wpos, toEye, eps / (vec3.length(toEye) || 1));
+      return cam.project(nearer)[2];
+    };
+
+    return {
+      ...front,
+      unoccluded: (wpos, wsp) => {
+        const z = depthAt(depthBuffer(), wsp[0], wsp[1]);
+        // behind the surface by less than eps: the component is on it
+        return wsp[2] <= z || nearerDepth(wpos) <= z;
+      },
+      cellUnoccluded: (grid, lattice, ix, iy, iz) => {
+        const { dim, min, size, pos } = grid;
+        const project = cellProjector(lattice, dim + 1, ix, iy, iz);
+        vec3.set(center, min[0] + (ix + 0.5) * size[0], min[1] + (iy + 0.5) * size[1], min[2] + (iz + 0.5) * size[2]);
+        const exact = cam.project(vec3.transformMat4(center, center, mMat));
+        const tol = exact[2] - nearerDepth(center);
+        project(0.5, 0.5, 0.5, sp);
+        if (!(Math.abs(sp[0] - exact[0]) <= 0.5 && Math.abs(sp[1] - exact[1]) <= 0.5 && Math.abs(sp[2] - exact[2]) <= 0.5 * tol)) return null;
+
+        const buf = depthBuffer();
+        const x0 = min[0] + ix * size[0], y0 = min[1] + iy * size[1], z0 = min[2] + iz * size[2];
+        return (id) => {
+          project((pos[id * 3] - x0) / size[0], (pos[id * 3 + 1] - y0) / size[1], (pos[id * 3 + 2] - z0) / size[2], sp);
+          return sp[2] - tol <= depthAt(buf, sp[0], sp[1]);
+        };
+      },
+    };
+  }
+
+  // Depth buffer of the scene over rect (canvas px). Faces of the selected mesh are
+  // culled with its face grid: cells, grown by the largest face radius, whose
+  // projection misses the rect are skipped.
+  _depthBuffer(mesh, cam, rect) {
+    const buf = createDepthBuffer(rect.minX, rect.minY, rect.maxX, rect.maxY);
+    const x1 = buf.x0 + (buf.w - 1) * buf.step;
+    const y1 = buf.y0 + (buf.h - 1) * buf.step;
+    const main = this.api.main;
+    const meshes = main && main.getMeshes ? main.getMeshes() : [mesh];
+    const grid = this._gridFor(mesh, 'FACE');
+
+    for (const m of meshes) {
+      const draw = meshRasterizer(buf, m, cam);
+      if (m !== mesh || !grid) {
+        for (let f = 0, nb = m.getNbFaces(); f < nb; f++) draw(f);
+        continue;
+      }
+
+      const { dim, min, size, cellStart, items } = grid;
+      const reach = this._faceReach(mesh, grid);
       const mMat = mesh.getMatrix();
-      const wA = vec3.create(), wB = vec3.create();
-      for (const [ek, ab] of this._edgeToVerts.entries()) {
-        const a = ab[0], b = ab[1];
-        const ia = a * 3, ib = b * 3;
-        vec3.set(wA, vAr[ia], vAr[ia + 1], vAr[ia + 2]);
-        vec3.set(wB, vAr[ib], vAr[ib + 1], vAr[ib + 2]);
-        vec3.transformMat4(wA, wA, mMat);
-        vec3.transformMat4(wB, wB, mMat);
-        const spA = cam.project(wA);
-        const spB = cam.project(wB);
-        const sx = (spA[0] + spB[0]) * 0.5 + rect.left;
-        const sy = (spA[1] + spB[1]) * 0.5 + rect.top;
-        if (sx >= minX && sx <= maxX && sy >= minY && sy <= maxY) {
-          if (op === 'SUB') this._selEdges.delete(ek);
-          else this._selEdges.add(ek);
+      const corner = vec3.create();
+      for (let c = 0; c < dim * dim * dim; c++) {
+        if (cellStart[c] === cellStart[c + 1]) continue;
+        const cell = [c % dim, Math.floor(c / dim) % dim, Math.floor(c / (dim * dim))];
+        let sMinX = Infinity, sMinY = Infinity, sMaxX = -Infinity, sMaxY = -Infinity;
+        let clipped = false;
+        for (let k = 0; k < 8; k++) {
+          for (let a = 0; a < 3; a++) {
+            const hi = (k >> a) & 1;
+            corner[a] = min[a] + (cell[a] + hi) * size[a] + (hi ? reach : -reach);
+          }
+          const sp = cam.project(vec3.transformMat4(corner, corner, mMat));
+          if (!(sp[2] >= 0 && sp[2] <= 1)) clipped = true;
+          sMinX = Math.min(sMinX, sp[0]);
+          sMaxX = Math.max(sMaxX, sp[0]);
+          sMinY = Math.min(sMinY, sp[1]);
+          sMaxY = Math.max(sMaxY, sp[1]);
         }
+        if (!clipped && (sMaxX < buf.x0 || sMinX > x1 || sMaxY < buf.y0 || sMinY > y1)) continue;
+        for (let i = cellStart[c]; i < cellStart[c + 1]; i++) draw(items[i]);
+      }
+    }
+    return buf;
+  }
+
+  // largest distance from a face centre to its vertices (local space), cached on the grid
+  _faceReach(mesh, grid) {
+    if (grid.reach !== undefined) return grid.reach;
+    const fAr = this._faces;
+    const vAr = mesh.getVertices();
+    const centers = grid.pos;
+    let reach = 0;
+    for (let f = 0; f < this._nbFaces; f++) {
+      for (let k = 0; k < 4; k++) {
+        const v = fAr[f * 4 + k];
+        if (isTri(v)) continue;
+        reach = Math.max(reach, pointDistance2(vAr, v, centers, f));
       }
     }
+    grid.reach = Math.sqrt(reach);
+    return grid.reach;
+  }
 
-    this._applySelectionToMask();
+  // an edge faces the camera when one of its faces does (its midpoint is tested for occlusion)
+  _edgeFront(front, e) {
+    const edgeFaces = this._topo.edgeFaces;
+    for (let k = 0; k < 2; k++) {
+      const f = edgeFaces[e * 2 + k];
+      if (f >= 0 && front.faceFront(f)) return true;
+    }
+    return false;
+  }
 
-    this._boxStart = null;
-    this._removeBoxDiv();
-    e.preventDefault();
-    e.stopPropagation();
+  // ===== Lasso / polygon =====
+
+  _beginRegion(e, op) {
+    if (this._regionTool === 'BOX') this._beginBox(e, op);
+    else this._beginLasso(e, op, this._regionTool === 'POLYGON');
+  }
+
+  _beginLasso(e, op, polygon) {
+    this._lasso = {
+      points: [[e.clientX, e.clientY]],
+      op,
+      id: e.pointerId,
+      polygon,
+      cursor: null, // rubber band end while placing polygon points
+      t: performance.now(),
+    };
+    this._ensureLassoSvg();
+    this._updateLassoSvg();
+  }
+
+  _moveLasso(e) {
+    const lasso = this._lasso;
+    if (lasso.polygon) {
+      lasso.cursor = [e.clientX, e.clientY];
+    } else {
+      if (lasso.id !== e.pointerId) return;
+      const last = lasso.points[lasso.points.length - 1];
+      if (Math.hypot(e.clientX - last[0], e.clientY - last[1]) < LASSO_STEP) return;
+      lasso.points.push([e.clientX, e.clientY]);
+    }
+    this._updateLassoSvg();
+  }
+
+  // Clicking on the first point or double-clicking closes the polygon.
+  _addPolygonPoint(x, y) {
+    const lasso = this._lasso;
+    const pts = lasso.points;
+    const first = pts[0];
+    const last = pts[pts.length - 1];
+    const now = performance.now();
+    const onFirst = Math.hypot(x - first[0], y - first[1]) <= CLOSE_RADIUS;
+    const doubleClick = now - lasso.t < DOUBLE_CLICK_MS && Math.hypot(x - last[0], y - last[1]) <= TAP_SLOP;
+    if (pts.length >= 3 && (onFirst || doubleClick)) {
+      this._finishLasso();
+      return;
+    }
+    if (!doubleClick) pts.push([x, y]);
+    lasso.t = now;
+    this._updateLassoSvg();
+  }
+
+  _finishLasso() {
+    const lasso = this._lasso;
+    if (!lasso) return;
+    const pts = lasso.points;
+    if (pts.length >= 3) {
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const [x, y] of pts) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+      this._selectInRegion({ minX, minY, maxX, maxY, polygon: pts }, lasso.op);
+    }
+    this._cancelLasso();
+  }
+
+  _cancelLasso() {
+    this._lasso = null;
+    if (this._lassoSvg && this._lassoSvg.parentNode) this._lassoSvg.parentNode.removeChild(this._lassoSvg);
+    this._lassoSvg = null;
   }
 
   _computeOp(e) {
-    const isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform);
-    const sub = isMac ? e.metaKey && e.altKey : (e.ctrlKey && e.altKey); // rare
-    if (sub) return 'SUB';
-    if (e.ctrlKey || e.metaKey) return 'SUB';
+    if (this._touchMods.sub) return 'SUB';
+    if (this._touchMods.add) return 'ADD';
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (ctrl && e.shiftKey) return 'SUB';
+    if (ctrl) return 'PATH';
     if (e.shiftKey) return 'ADD';
     return 'TOGGLE';
   }
@@ -512,38 +2074,260 @@ export default class ComponentSelectionPlugin {
     const mesh = this.api.getMesh && this.api.getMesh();
     if (!mesh) return;
     this._cacheForMesh(mesh);
+    if (this._needsTopology() || op === 'PATH') {
+      const at = vec3.clone(inter); // the picking reuses its intersection vector
+      if (this._waitForTopology(() => this._applyPick(faceId, at, op))) return;
+    }
+
+    const target = this._pickTarget(mesh, faceId, inter);
+    if (!target) return;
+    if (op === 'PATH') {
+      if (this._pickPath(mesh, target)) return;
+      op = 'SUB'; // nothing to start a path from: Ctrl+Click subtracts
+    }
+    this._pushHistory();
+
+    const { mode, id } = target;
+    const set = this._setOf(mode);
+    if (op === 'ADD') set.add(id);
+    else if (op === 'SUB') set.delete(id);
+    else if (op === 'REPLACE') {
+      for (const m of this._modes) this._setOf(m).clear();
+      set.add(id);
+    } else if (set.has(id)) set.delete(id); // TOGGLE
+    else set.add(id);
+    if (set.has(id)) this._lastPick = this._pathStart = target;
+
+    this._selectionChanged();
+  }
 
-    if (this._mode === 'FACE') {
-      if (op === 'ADD') this._selFaces.add(faceId);
-      else if (op === 'SUB') this._selFaces.delete(faceId);
-      else { // TOGGLE/REPLACE
-        if (op === 'REPLACE') this._selFaces.clear();
-        if (this._selFaces.has(faceId)) this._selFaces.delete(faceId);
-        else this._selFaces.add(faceId);
-      }
-    } else if (this._mode === 'VERTEX') {
-      const vid = this._nearestVertexInFace(mesh, faceId, inter);
-      if (vid < 0) return;
-      if (op === 'ADD') this._selVerts.add(vid);
-      else if (op === 'SUB') this._selVerts.delete(vid);
-      else {
-        if (op === 'REPLACE') this._selVerts.clear();
-        if (this._selVerts.has(vid)) this._selVerts.delete(vid);
-        else this._selVerts.add(vid);
+  // ===== Shortest path =====
+
+  // Ctrl+Click: adds the shortest path from the last picked component of the same mode
+  // (or the only selected one) to target. A path ending on the first component of the
+  // chain closes it, and with "Path: Fill Closed" the enclosed side is filled too.
+  // False when there's nothing to start from or no path.
+  _pickPath(mesh, target) {
+    const { mode, id } = target;
+    const set = this._setOf(mode);
+    const last = this._lastPick;
+    let from = -1;
+    if (last && last.mode === mode && set.has(last.id)) from = last.id;
+    else if (set.size === 1) from = set.values().next().value;
+    if (from < 0 || from === id) return false;
+
+    const path = this._shortestPath(mesh, mode, from, id);
+    if (!path) return false;
+    this._pushHistory();
+    for (const c of path) set.add(c);
+
+    const start = this._pathStart;
+    const chained = start && start.mode === mode && set.has(start.id);
+    if (this._pathFill && chained && start.id === id) this._fillEnclosed(mode, path);
+    if (!chained) this._pathStart = { mode, id: from };
+    this._lastPick = target;
+    this._selectionChanged();
+    return true;
+  }
+
+  // Component ids of `mode` along the shortest path from `from` to `to`, or null.
+  // Vertices walk the vertex ring, faces their shared edges (centre to centre) and
+  // edges the vertex path between their nearest ends.
+  _shortestPath(mesh, mode, from, to) {
+    const byLength = this._pathMetric === 'LENGTH';
+    if (mode === 'FACE') {
+      const centers = byLength && mesh.getFaceCenters && mesh.getFaceCenters();
+      return shortestPath([from], (f) => f === to, (f, visit) => {
+        for (const nf of adjacentFaces(this._topo, f)) visit(nf, centers ? pointDistance(centers, f, nf) : 1);
+      });
+    }
+
+    const vAr = mesh.getVertices();
+    const startCount = mesh.getVerticesRingVertStartCount();
+    const ring = mesh.getVerticesRingVert();
+    const vertexNeighbors = (v, visit) => {
+      const start = startCount[v * 2];
+      const count = startCount[v * 2 + 1];
+      for (let i = 0; i < count; i++) {
+        const nv = ring[start + i];
+        visit(nv, byLength ? pointDistance(vAr, v, nv) : 1);
       }
-    } else { // EDGE
-      const ek = this._nearestEdgeInFace(mesh, faceId, inter);
-      if (!ek) return;
-      if (op === 'ADD') this._selEdges.add(ek);
-      else if (op === 'SUB') this._selEdges.delete(ek);
-      else {
-        if (op === 'REPLACE') this._selEdges.clear();
-        if (this._selEdges.has(ek)) this._selEdges.delete(ek);
-        else this._selEdges.add(ek);
+    };
+    if (mode === 'VERTEX') return shortestPath([from], (v) => v === to, vertexNeighbors);
+
+    const edgeVerts = this._topo.edgeVerts;
+    const a = edgeVerts[to * 2];
+    const b = edgeVerts[to * 2 + 1];
+    const verts = shortestPath([edgeVerts[from * 2], edgeVerts[from * 2 + 1]], (v) => v === a || v === b, vertexNeighbors);
+    if (!verts) return null;
+    const edges = [from];
+    for (let i = 1; i < verts.length; i++) edges.push(findEdge(this._topo, verts[i - 1], verts[i]));
+    edges.push(to);
+    return edges;
+  }
+
+  // Fills the smaller side of a closed path. Faces are flooded from both sides of the
+  // path, never across the selection (selected edges, edges between selected vertices,
+  // selected faces); nothing is filled when the path doesn't split the surface, e.g.
+  // around the handle of a torus.
+  _fillEnclosed(mode, path) {
+    const { edgeVerts, edgeFaces, faceEdges, vertEdges } = this._topo;
+    const fAr = this._faces;
+    const set = this._setOf(mode);
+    const blocked = (e) => (mode === 'EDGE' ? set.has(e) : mode === 'VERTEX' && set.has(edgeVerts[e * 2]) && set.has(edgeVerts[e * 2 + 1]));
+    const open = (f) => f >= 0 && (mode !== 'FACE' || !set.has(f));
+
+    // faces around the path
+    const seeds = [];
+    const edgeSeeds = (e) => {
+      if (e >= 0) seeds.push(edgeFaces[e * 2], edgeFaces[e * 2 + 1]);
+    };
+    if (mode === 'FACE') {
+      for (const f of path) for (let k = 0; k < 4; k++) edgeSeeds(faceEdges[f * 4 + k]);
+    } else if (mode === 'EDGE') {
+      for (const e of path) edgeSeeds(e);
+    } else {
+      const startCount = this._cacheMesh.getVerticesRingVertStartCount();
+      for (const v of path) {
+        const start = startCount[v * 2];
+        for (let i = 0; i < startCount[v * 2 + 1]; i++) edgeSeeds(vertEdges[start + i]);
+      }
+    }
+
+    const label = new Int32Array(this._nbFaces).fill(-1);
+    const sizes = [];
+    for (const seed of seeds) {
+      if (!open(seed) || label[seed] >= 0) continue;
+      const comp = sizes.length;
+      const stack = [seed];
+      label[seed] = comp;
+      let size = 0;
+      while (stack.length) {
+        const f = stack.pop();
+        size++;
+        for (let k = 0; k < 4; k++) {
+          const e = faceEdges[f * 4 + k];
+          if (e < 0 || blocked(e)) continue;
+          for (let s = 0; s < 2; s++) {
+            const nf = edgeFaces[e * 2 + s];
+            if (!open(nf) || label[nf] >= 0) continue;
+            label[nf] = comp;
+            stack.push(nf);
+          }
+        }
+      }
+      sizes.push(size);
+    }
+    if (sizes.length < 2) return;
+
+    let inside = 0;
+    for (let c = 1; c < sizes.length; c++) if (sizes[c] < sizes[inside]) inside = c;
+    for (let f = 0; f < this._nbFaces; f++) {
+      if (label[f] !== inside) continue;
+      if (mode === 'FACE') {
+        set.add(f);
+        continue;
+      }
+      for (let k = 0; k < 4; k++) {
+        if (mode === 'EDGE' && faceEdges[f * 4 + k] >= 0) set.add(faceEdges[f * 4 + k]);
+        else if (mode === 'VERTEX' && !isTri(fAr[f * 4 + k])) set.add(fAr[f * 4 + k]);
       }
     }
+  }
 
-    this._applySelectionToMask();
+  // Loop (or ring) through the edge of faceId nearest to the hit, REPLACE or ADD.
+  // Edge mode takes its edges, vertex mode their vertices and face mode the quads
+  // the ring crosses (the face loop, for a loop pick as well).
+  _applyLoop(faceId, inter, ring, op) {
+    const mesh = this.api.getMesh && this.api.getMesh();
+    if (!mesh) return;
+    this._cacheForMesh(mesh);
+    const at = vec3.clone(inter); // the picking reuses its intersection vector
+    if (this._waitForTopology(() => this._applyLoop(faceId, at, ring, op))) return;
+
+    const e = this._nearestEdgeInFace(mesh, faceId, inter);
+    if (e < 0) return;
+    const walk = edgeRing(this._topo, this._faces, e);
+    const edges = ring ? walk.edges : edgeLoop(this._topo, this._faces, mesh.getVerticesRingVertStartCount(), e);
+    this._pushHistory();
+    for (const mode of this._modes) {
+      let ids = edges;
+      if (mode === 'FACE') ids = walk.faces;
+      else if (mode === 'VERTEX') ids = this._modeVertices('EDGE', edges);
+      if (op === 'REPLACE') {
+        this._setSelection(mode, new Set(ids));
+      } else {
+        const set = this._setOf(mode);
+        for (const id of ids) set.add(id);
+      }
+    }
+    this._selectionChanged();
+  }
+
+  // { mode, id } of the component to pick on faceId. With one mode it's the nearest
+  // component of that mode; with several, a vertex close to the hit wins over an edge
+  // and an edge over the face (see PICK_VERTEX_RATIO).
+  _pickTarget(mesh, faceId, inter) {
+    const modes = this._modes;
+    if (modes.size === 1) {
+      const mode = this._mode;
+      let id = faceId;
+      if (mode === 'VERTEX') id = this._nearestVertexInFace(mesh, faceId, inter);
+      else if (mode === 'EDGE') id = this._nearestEdgeInFace(mesh, faceId, inter);
+      return id < 0 ? null : { mode, id };
+    }
+
+    // radius of the picked face around its centre
+    const vAr = mesh.getVertices();
+    const fAr = this._faces;
+    const n = isTri(fAr[faceId * 4 + 3]) ? 3 : 4;
+    const c = vec3.create();
+    for (let k = 0; k < n; k++) {
+      const iv = fAr[faceId * 4 + k] * 3;
+      vec3.add(c, c, [vAr[iv], vAr[iv + 1], vAr[iv + 2]]);
+    }
+    vec3.scale(c, c, 1 / n);
+    let radius = 0;
+    for (let k = 0; k < n; k++) {
+      const iv = fAr[faceId * 4 + k] * 3;
+      radius = Math.max(radius, vec3.distance(c, [vAr[iv], vAr[iv + 1], vAr[iv + 2]]));
+    }
+
+    const p = vec3.fromValues(inter[0], inter[1], inter[2]);
+    const candidates = [];
+    if (modes.has('VERTEX')) {
+      const v = this._nearestVertexInFace(mesh, faceId, inter);
+      const d = vec3.distance(p, [vAr[v * 3], vAr[v * 3 + 1], vAr[v * 3 + 2]]);
+      candidates.push({ mode: 'VERTEX', id: v, score: d / (PICK_VERTEX_RATIO * radius) });
+    }
+    if (modes.has('EDGE')) {
+      const e = this._nearestEdgeInFace(mesh, faceId, inter);
+      if (e >= 0) {
+        const ia = this._topo.edgeVerts[e * 2] * 3, ib = this._topo.edgeVerts[e * 2 + 1] * 3;
+        const d = Math.sqrt(this._pointSegDist2(p, [vAr[ia], vAr[ia + 1], vAr[ia + 2]], [vAr[ib], vAr[ib + 1], vAr[ib + 2]]));
+        candidates.push({ mode: 'EDGE', id: e, score: d / (PICK_EDGE_RATIO * radius) });
+      }
+    }
+    const close = candidates.find((t) => t.score < 1);
+    if (close) return close;
+    if (modes.has('FACE')) return { mode: 'FACE', id: faceId };
+    // no face mode: the relatively closer of vertex / edge
+    return candidates.sort((a, b) => a.score - b.score)[0] || null;
+  }
+
+  _setOf(mode) {
+    if (mode === 'VERTEX') return this._selVerts;
+    return mode === 'FACE' ? this._selFaces : this._selEdges;
+  }
+
+  _setSelection(mode, ids) {
+    if (mode === 'VERTEX') this._selVerts = ids;
+    else if (mode === 'FACE') this._selFaces = ids;
+    else this._selEdges = ids;
+  }
+
+  _needsTopology() {
+    return this._modes.size > 1 || !this._modes.has('VERTEX');
   }
 
   _nearestVertexInFace(mesh, faceId, inter) {
@@ -551,7 +2335,7 @@ export default class ComponentSelectionPlugin {
     const base = faceId * 4;
     const ids = [fAr[base], fAr[base + 1], fAr[base + 2]];
     const id4 = fAr[base + 3];
-    if (id4 !== 4294967295 && id4 !== -1) ids.push(id4); // Utils.TRI_INDEX is uint32 max in this repo
+    if (!isTri(id4)) ids.push(id4);
 
     const vAr = mesh.getVertices();
     let best = -1;
@@ -567,31 +2351,24 @@ export default class ComponentSelectionPlugin {
     return best;
   }
 
+  // edge id of faceId closest to inter, or -1
   _nearestEdgeInFace(mesh, faceId, inter) {
-    const fAr = this._faces;
-    const base = faceId * 4;
-    const v0 = fAr[base], v1 = fAr[base + 1], v2 = fAr[base + 2], v3 = fAr[base + 3];
-    const ids = (v3 !== 4294967295 && v3 !== -1) ? [v0, v1, v2, v3] : [v0, v1, v2];
-    const edges = [];
-    for (let i = 0; i < ids.length; i++) {
-      const a = ids[i];
-      const b = ids[(i + 1) % ids.length];
-      edges.push([a, b]);
-    }
-
+    const { faceEdges, edgeVerts } = this._topo;
     const vAr = mesh.getVertices();
-    let bestKey = null;
+    let best = -1;
     let bestD = Infinity;
     const p = vec3.fromValues(inter[0], inter[1], inter[2]);
     const aV = vec3.create(), bV = vec3.create();
-    for (const [a, b] of edges) {
-      const ia = a * 3, ib = b * 3;
+    for (let k = 0; k < 4; k++) {
+      const e = faceEdges[faceId * 4 + k];
+      if (e < 0) continue;
+      const ia = edgeVerts[e * 2] * 3, ib = edgeVerts[e * 2 + 1] * 3;
       vec3.set(aV, vAr[ia], vAr[ia + 1], vAr[ia + 2]);
       vec3.set(bV, vAr[ib], vAr[ib + 1], vAr[ib + 2]);
       const d = this._pointSegDist2(p, aV, bV);
-      if (d < bestD) { bestD = d; bestKey = edgeKey(a, b); }
+      if (d < bestD) { bestD = d; best = e; }
     }
-    return bestKey;
+    return best;
   }
 
   _pointSegDist2(p, a, b) {
@@ -608,84 +2385,188 @@ export default class ComponentSelectionPlugin {
     return vec3.sqrDist(p, proj);
   }
 
-  // ===== Mask application =====
+  _pushHistory() {
+    this._history.push({
+      verts: new Set(this._selVerts),
+      faces: new Set(this._selFaces),
+      edges: new Set(this._selEdges),
+      modes: new Set(this._modes),
+      mode: this._mode,
+    });
+    if (this._history.length > HISTORY_SIZE) this._history.shift();
+  }
 
-  _applySelectionToMask() {
-    const mesh = this.api.getMesh && this.api.getMesh();
-    if (!mesh) return;
-    this._cacheForMesh(mesh);
+  // ===== Mask =====
 
-    const mAr = mesh.getMaterials();
-    if (!mAr) return;
+  _selectionChanged() {
+    this._revision++;
+    this.api.render && this.api.render();
+    // without the render hook the overlay is only refreshed here
+    if (!this._renderHooked) this._drawOverlay();
+  }
 
-    // Reset mask to 0 for all (visual only)
-    for (let i = 0; i < this._nbVerts; i++) mAr[i * 3 + 2] = 0.0;
+  // per-vertex sculpt mask reader, from the materials (mask in channel 2) or a
+  // dedicated mask array, null when the mesh has neither
+  _readMask(mesh) {
+    const mAr = mesh.getMaterials && mesh.getMaterials();
+    if (mAr) return (i) => mAr[i * 3 + 2];
+    const maskAr = mesh.getMaskArray && mesh.getMaskArray();
+    return maskAr ? (i) => maskAr[i] : null;
+  }
 
-    if (this._mode === 'VERTEX') {
-      for (const v of this._selVerts) mAr[v * 3 + 2] = 1.0;
-    } else if (this._mode === 'FACE') {
-      for (const f of this._selFaces) {
-        const base = f * 4;
-        const a = this._faces[base], b = this._faces[base + 1], c = this._faces[base + 2], d = this._faces[base + 3];
-        mAr[a * 3 + 2] = 1.0; mAr[b * 3 + 2] = 1.0; mAr[c * 3 + 2] = 1.0;
-        if (d !== 4294967295 && d !== -1) mAr[d * 3 + 2] = 1.0;
-      }
-    } else { // EDGE
-      for (const ek of this._selEdges) {
-        const ab = this._edgeToVerts.get(ek);
-        if (!ab) continue;
-        mAr[ab[0] * 3 + 2] = 1.0;
-        mAr[ab[1] * 3 + 2] = 1.0;
-      }
+  // per-vertex selection weight written by selectionToMask
+  _maskWeights(mesh) {
+    if (this._featherMode !== 'NONE') {
+      const byRings = this._featherMode === 'RINGS';
+      return featherWeights(mesh, this.getSelectedVertices(), {
+        byRings,
+        width: byRings ? this._featherRings : this._featherDistance,
+        curve: this._featherCurve,
+      });
     }
-
-    mesh.updateMaterials && mesh.updateMaterials();
-    this.api.render && this.api.render();
+    const weights = new Float32Array(this._nbVerts);
+    for (const v of this.getSelectedVertices()) weights[v] = 1.0;
+    return weights;
   }
 
   // ===== Mesh caching / topology =====
 
+  // Rebuilt when the mesh or its topology changes. Meshes with many faces build the
+  // edge topology in a worker; operations that need it meanwhile wait in _topoQueue.
   _cacheForMesh(mesh) {
-    if (this._cacheMesh === mesh && this._faces) return;
-
+    const faces = mesh.getFaces();
+    const nbFaces = mesh.getNbFaces();
+    const nbVerts = mesh.getNbVertices();
+    if (this._cacheMesh === mesh && this._faces === faces && this._nbFaces === nbFaces && this._nbVerts === nbVerts) return;
+
+    // selected ids belong to the previous topology
+    if (this._cacheMesh) {
+      this._selVerts.clear();
+      this._selFaces.clear();
+      this._selEdges.clear();
+      this._history = [];
+    }
     this._cacheMesh = mesh;
-    this._faces = mesh.getFaces();
-    this._nbFaces = mesh.getNbFaces();
-    this._nbVerts = mesh.getNbVertices();
+    this._faces = faces;
+    this._nbFaces = nbFaces;
+    this._nbVerts = nbVerts;
+    this._grids = {};
+    this._revision++;
+    this._topo = null;
+    this._topoQueue = [];
+
+    const args = [faces, nbFaces, nbVerts, mesh.getVerticesRingVertStartCount(), mesh.getVerticesRingVert()];
+    if (nbFaces < WORKER_MIN_FACES || typeof Worker === 'undefined') {
+      this._topo = buildTopology(...args);
+      return;
+    }
+    // the worker gets its own copy of the face indices, moved instead of cloned
+    // (transferring the mesh's buffer would detach it from SculptGL)
+    const faceCopy = faces.slice(0, nbFaces * 4);
+    runInWorker(buildTopology, [faceCopy, ...args.slice(1)], [faceCopy.buffer], [isTri])
+      .catch((err) => {
+        this._showStatus(`Topology worker failed (${err && err.message}), building on the main thread`);
+        return buildTopology(...args);
+      })
+      .then((topo) => {
+        if (this._faces !== faces) return; // the mesh changed meanwhile
+        this._topo = topo;
+        const queue = this._topoQueue;
+        this._topoQueue = [];
+        for (const fn of queue) if (this._active) fn();
+      }, (err) => {
+        // the main thread build failed too (out of memory on a huge mesh)
+        if (this._faces !== faces) return;
+        this._topoQueue = [];
+        this._cacheMesh = null; // built again on the next use
+        this._showStatus(`Could not build the edge topology (${err && err.message})`);
+      });
+  }
 
-    // build edge maps
-    this._edgeToFaces = new Map();
-    this._edgeToVerts = new Map();
-    this._faceEdges = new Array(this._nbFaces);
+  // Queues fn until the topology is built; returns true when it had to wait.
+  _waitForTopology(fn) {
+    if (this._topo) return false;
+    this._topoQueue.push(fn);
+    return true;
+  }
 
-    const fAr = this._faces;
-    for (let f = 0; f < this._nbFaces; f++) {
-      const base = f * 4;
-      const v0 = fAr[base], v1 = fAr[base + 1], v2 = fAr[base + 2], v3 = fAr[base + 3];
-      const ids = (v3 !== 4294967295 && v3 !== -1) ? [v0, v1, v2, v3] : [v0, v1, v2];
-      const edges = [];
-      for (let i = 0; i < ids.length; i++) {
-        const a = ids[i];
-        const b = ids[(i + 1) % ids.length];
-        const ek = edgeKey(a, b);
-        edges.push(ek);
+  // ===== Selection overlay =====
 
-        if (!this._edgeToFaces.has(ek)) this._edgeToFaces.set(ek, []);
-        this._edgeToFaces.get(ek).push(f);
+  // redraws the overlay after each SculptGL render, so it follows the camera
+  _hookRender() {
+    this._renderHooked = hookRender(this.api.main, () => this._drawOverlay());
+  }
 
-        if (!this._edgeToVerts.has(ek)) this._edgeToVerts.set(ek, [Math.min(a, b), Math.max(a, b)]);
+  // Tinted faces, edge lines and vertex dots of the selection. Components facing away
+  // from the camera are left out unless X-Ray is on.
+  _drawOverlay() {
+    const canvas = this.api.getCanvas && this.api.getCanvas();
+    const cam = this.api.getCamera && this.api.getCamera();
+    const mesh = this._cacheMesh;
+    const modes = this._modes;
+    if (!this.hasSelection() || !canvas || !cam || !mesh) {
+      this._overlay.hide();
+      return;
+    }
+
+    const ctx = this._overlay.begin(canvas);
+    const front = this._xray ? null : this._facing(mesh, cam);
+    const vAr = mesh.getVertices();
+    const mMat = mesh.getMatrix();
+    const wpos = vec3.create();
+    const toWorld = (pos, i) => vec3.transformMat4(wpos, vec3.set(wpos, pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]), mMat);
+    // overlay (CSS) px of a local position, null behind the camera / past the far plane
+    const pr = window.devicePixelRatio || 1;
+    const project = (pos, i) => {
+      const sp = cam.project(toWorld(pos, i));
+      return sp[2] >= 0 && sp[2] <= 1 ? [sp[0] / pr, sp[1] / pr] : null;
+    };
+
+    if (modes.has('FACE')) {
+      const fAr = this._faces;
+      ctx.beginPath();
+      for (const f of this._selFaces) {
+        if (front && !front.faceFront(f)) continue;
+        const n = isTri(fAr[f * 4 + 3]) ? 3 : 4;
+        const pts = [];
+        for (let k = 0; k < n; k++) pts.push(project(vAr, fAr[f * 4 + k]));
+        if (pts.some((p) => !p)) continue;
+        ctx.moveTo(pts[0][0], pts[0][1]);
+        for (let k = 1; k < n; k++) ctx.lineTo(pts[k][0], pts[k][1]);
+        ctx.closePath();
       }
-      this._faceEdges[f] = edges;
+      ctx.fillStyle = OVERLAY_FILL;
+      ctx.fill();
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = OVERLAY_LINE;
+      ctx.stroke();
     }
-  }
 
-  _snapshotMask(mesh) {
-    const mAr = mesh.getMaterials();
-    if (!mAr) { this._maskSnapshot = null; return; }
-    const nb = mesh.getNbVertices();
-    const snap = new Float32Array(nb);
-    for (let i = 0; i < nb; i++) snap[i] = clamp01(mAr[i * 3 + 2]);
-    this._maskSnapshot = snap;
+    if (modes.has('EDGE') && this._topo) {
+      const edgeVerts = this._topo.edgeVerts;
+      ctx.beginPath();
+      for (const e of this._selEdges) {
+        if (front && !this._edgeFront(front, e)) continue;
+        const a = project(vAr, edgeVerts[e * 2]);
+        const b = project(vAr, edgeVerts[e * 2 + 1]);
+        if (!a || !b) continue;
+        ctx.moveTo(a[0], a[1]);
+        ctx.lineTo(b[0], b[1]);
+      }
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = OVERLAY_LINE;
+      ctx.stroke();
+    }
+
+    if (modes.has('VERTEX')) {
+      ctx.fillStyle = OVERLAY_POINT;
+      for (const v of this._selVerts) {
+        if (front && !front.vertFront(v)) continue;
+        const p = project(vAr, v);
+        if (!p) continue;
+        ctx.fillRect(p[0] - 2, p[1] - 2, 4, 4);
+      }
+    }
   }
 
   // ===== Box selection overlay =====
@@ -727,4 +2608,122 @@ export default class ComponentSelectionPlugin {
     if (this._boxDiv && this._boxDiv.parentNode) this._boxDiv.parentNode.removeChild(this._boxDiv);
     this._boxDiv = null;
   }
+
+  // ===== Lasso / polygon overlay =====
+
+  _ensureLassoSvg() {
+    if (this._lassoSvg) return;
+    const canvas = this.api.getCanvas && this.api.getCanvas();
+    if (!canvas) return;
+    const parent = canvas.parentElement || document.body;
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.style.position = 'fixed';
+    svg.style.pointerEvents = 'none';
+    svg.style.zIndex = '9999';
+    svg.style.left = '0px';
+    svg.style.top = '0px';
+    svg.style.width = '100%';
+    svg.style.height = '100%';
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('stroke', 'rgba(255,255,255,0.9)');
+    path.setAttribute('stroke-dasharray', '4 3');
+    path.setAttribute('fill', 'rgba(255,255,255,0.1)');
+    svg.appendChild(path);
+    parent.appendChild(svg);
+    this._lassoSvg = svg;
+  }
+
+  _updateLassoSvg() {
+    if (!this._lassoSvg || !this._lasso) return;
+    const lasso = this._lasso;
+    const pts = lasso.polygon && lasso.cursor ? lasso.points.concat([lasso.cursor]) : lasso.points;
+    const d = pts.map((p, i) => `${i ? 'L' : 'M'}${p[0]} ${p[1]}`).join(' ') + ' Z';
+    this._lassoSvg.firstChild.setAttribute('d', d);
+  }
+
+  // ===== Status line =====
+
+  // Shows text (one or more lines) over the bottom-right corner of the viewport for ms.
+  _showStatus(text, ms = 5000) {
+    const canvas = this.api.getCanvas && this.api.getCanvas();
+    if (!canvas) return;
+    if (!this._statusDiv) {
+      const div = document.createElement('div');
+      div.style.position = 'fixed';
+      div.style.pointerEvents = 'none';
+      div.style.whiteSpace = 'pre';
+      div.style.padding = '6px 8px';
+      div.style.borderRadius = '4px';
+      div.style.font = '11px/1.4 monospace';
+      div.style.background = 'rgba(0,0,0,0.55)';
+      div.style.color = '#ddd';
+      div.style.zIndex = '9999';
+      (canvas.parentElement || document.body).appendChild(div);
+      this._statusDiv = div;
+    }
+    const rect = canvas.getBoundingClientRect();
+    this._statusDiv.style.right = `${Math.max(8, window.innerWidth - rect.right + 8)}px`;
+    this._statusDiv.style.bottom = `${Math.max(8, window.innerHeight - rect.bottom + 8)}px`;
+    this._statusDiv.textContent = text;
+    clearTimeout(this._statusTimer);
+    this._statusTimer = setTimeout(() => this._removeStatus(), ms);
+  }
+
+  _removeStatus() {
+    clearTimeout(this._statusTimer);
+    if (this._statusDiv && this._statusDiv.parentNode) this._statusDiv.parentNode.removeChild(this._statusDiv);
+    this._statusDiv = null;
+  }
+
+  // ===== On-screen modifier toggles (touch) =====
+
+  _ensureModBar() {
+    if (this._modBar) return;
+    const canvas = this.api.getCanvas && this.api.getCanvas();
+    if (!canvas) return;
+    const parent = canvas.parentElement || document.body;
+    const rect = canvas.getBoundingClientRect();
+    const bar = document.createElement('div');
+    bar.style.position = 'fixed';
+    bar.style.left = `${rect.left + 8}px`;
+    bar.style.bottom = `${Math.max(8, window.innerHeight - rect.bottom + 8)}px`;
+    bar.style.display = 'flex';
+    bar.style.gap = '4px';
+    bar.style.zIndex = '9999';
+
+    for (const key of ['add', 'sub', 'region']) {
+      const btn = document.createElement('button');
+      btn.dataset.mod = key;
+      btn.style.minWidth = '48px';
+      btn.style.minHeight = '36px';
+      btn.style.color = '#fff';
+      btn.style.border = '1px solid #555';
+      btn.style.borderRadius = '4px';
+      // pointerdown so a finger press doesn't wait for the click delay
+      btn.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.toggleTouchMod(key);
+      });
+      bar.appendChild(btn);
+    }
+
+    parent.appendChild(bar);
+    this._modBar = bar;
+    this._updateModBar();
+  }
+
+  _updateModBar() {
+    if (!this._modBar) return;
+    const labels = { add: 'Add', sub: 'Sub', region: REGION_TOOLS[this._regionTool] };
+    for (const btn of this._modBar.children) {
+      btn.textContent = labels[btn.dataset.mod];
+      btn.style.background = this._touchMods[btn.dataset.mod] ? '#d00' : 'rgba(40,40,40,0.85)';
+    }
+  }
+
+  _removeModBar() {
+    if (this._modBar && this._modBar.parentNode) this._modBar.parentNode.removeChild(this._modBar);
+    this._modBar = null;
+  }
 }
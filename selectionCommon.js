@@ -0,0 +1,172 @@
+// selectionCommon.js
+// Helpers shared by the selection plugins (PolyMode and Component Selection), some of
+// them also used by Gizmo+.
+
+// SculptGL faces are 4 indices; the 4th is Utils.TRI_INDEX (uint32 max, -1 when read
+// as signed) on triangles.
+export function isTri(d) {
+  return d === 4294967295 || d === -1;
+}
+
+// Feather of "Selection → Mask": weight 1 on the seed vertices, falling to 0 along the
+// vertex ring graph over `width`, a distance in world units or, with byRings, a number of
+// rings (ring k of N gets 1 - k / (N + 1), so the last one is still soft).
+// curve: linear | smooth | sharp, in either case.
+export function featherWeights(mesh, seeds, { byRings, width, curve }) {
+  const nb = mesh.getNbVertices();
+  const weights = new Float32Array(nb);
+  const dist = new Float32Array(nb).fill(Infinity);
+  const startCount = mesh.getVerticesRingVertStartCount();
+  const ring = mesh.getVerticesRingVert();
+  const vAr = mesh.getVertices();
+  const m = mesh.getMatrix();
+  const shape = featherCurve(curve);
+  const reach = byRings ? width + 1 : width;
+
+  let frontier = [];
+  for (const v of seeds) {
+    dist[v] = 0;
+    frontier.push(v);
+  }
+
+  // label-correcting sweep: revisit a vertex whenever a shorter path reaches it
+  while (frontier.length) {
+    const next = [];
+    for (const v of frontier) {
+      const start = startCount[v * 2];
+      const count = startCount[v * 2 + 1];
+      for (let i = 0; i < count; i++) {
+        const nv = ring[start + i];
+        const d = dist[v] + (byRings ? 1 : worldDistance(vAr, m, v, nv));
+        if (d < reach && d < dist[nv]) {
+          dist[nv] = d;
+          next.push(nv);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  for (let i = 0; i < nb; i++) {
+    if (dist[i] !== Infinity) weights[i] = shape(1 - dist[i] / reach);
+  }
+  return weights;
+}
+
+// t: 1 at the selection border, 0 at the outer edge of the feather
+function featherCurve(curve) {
+  const name = String(curve).toLowerCase();
+  if (name === 'linear') return (t) => t;
+  if (name === 'sharp') return (t) => t * t;
+  return (t) => t * t * (3 - 2 * t);
+}
+
+// world distance between two vertices (SculptGL's column-major matrix)
+function worldDistance(vAr, m, a, b) {
+  const dx = vAr[a * 3] - vAr[b * 3];
+  const dy = vAr[a * 3 + 1] - vAr[b * 3 + 1];
+  const dz = vAr[a * 3 + 2] - vAr[b * 3 + 2];
+  const x = m[0] * dx + m[4] * dy + m[8] * dz;
+  const y = m[1] * dx + m[5] * dy + m[9] * dz;
+  const z = m[2] * dx + m[6] * dy + m[10] * dz;
+  return Math.sqrt(x * x + y * y + z * z);
+}
+
+// Undo step of "Selection → Mask": mask values of the changed vertices before and after.
+// write(ids, values) stores values on the mesh the way the plugin keeps its mask.
+export class MaskState {
+  constructor(api, ids, before, after, write) {
+    this._api = api;
+    this._ids = ids;
+    this._before = before;
+    this._after = after;
+    this._write = write;
+  }
+
+  undo() {
+    this._apply(this._before);
+  }
+
+  redo() {
+    this._apply(this._after);
+  }
+
+  createRedo() {
+    return this;
+  }
+
+  _apply(values) {
+    this._write(this._ids, values);
+    if (this._api.render) this._api.render();
+  }
+}
+
+// Keys typed in these belong to the field, not to the plugins' shortcuts.
+export function isTextField(el) {
+  return !!el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT' || el.isContentEditable);
+}
+
+// Calls draw() after every SculptGL render (applyRender, or render on older builds) so
+// an overlay follows the camera. Returns false when main has neither.
+export function hookRender(main, draw) {
+  const name = main && main.applyRender ? 'applyRender' : (main && main.render ? 'render' : null);
+  if (!name) return false;
+
+  const _render = main[name];
+  main[name] = function (...args) {
+    const res = _render.apply(this, args);
+    draw();
+    return res;
+  };
+  return true;
+}
+
+// 2D canvas laid over SculptGL's viewport, where a plugin draws its selection.
+export class ViewportOverlay {
+  constructor() {
+    this._canvas = null;
+  }
+
+  // Places the overlay over `canvas` (same CSS size, device pixel ratio backing store),
+  // shows and clears it; returns its 2D context in CSS px. cam.project gives device px,
+  // like SculptGL's mouse and picking: divide by devicePixelRatio before drawing.
+  begin(canvas) {
+    if (!this._canvas) {
+      const overlay = document.createElement('canvas');
+      overlay.style.position = 'fixed';
+      overlay.style.pointerEvents = 'none';
+      overlay.style.zIndex = '9998';
+      (canvas.parentElement || document.body).appendChild(overlay);
+      this._canvas = overlay;
+    }
+
+    const overlay = this._canvas;
+    const rect = canvas.getBoundingClientRect();
+    const pr = window.devicePixelRatio || 1;
+    overlay.style.display = 'block';
+    overlay.style.left = `${rect.left}px`;
+    overlay.style.top = `${rect.top}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+    const w = Math.round(rect.width * pr);
+    const h = Math.round(rect.height * pr);
+    if (overlay.width !== w || overlay.height !== h) {
+      overlay.width = w;
+      overlay.height = h;
+    }
+
+    const ctx = overlay.getContext('2d');
+    ctx.setTransform(pr, 0, 0, pr, 0, 0);
+    ctx.clearRect(0, 0, rect.width, rect.height);
+    return ctx;
+  }
+
+  hide() {
+    if (this._canvas) this._canvas.style.display = 'none';
+  }
+
+  remove() {
+    if (this._canvas && this._canvas.parentNode) this._canvas.parentNode.removeChild(this._canvas);
+    this._canvas = null;
+  }
+}